@@ -0,0 +1,551 @@
+/**
+ * actionPlanExportUtils.js
+ * Builds PDF and iCalendar exports of a submitted action plan from the getActionPlanStatus response,
+ * and downloads the monitor's server-side submission exports
+ */
+
+// Task statuses that no longer need a reminder
+const CLOSED_TASK_STATUSES = ['Completed', 'Cancelled'];
+
+const ICS_PRODUCT_ID = '-//Dynamic Action Plans//Action Plan Export//EN';
+const ICS_MAX_LINE_BYTES = 75;
+
+// US Letter in points
+const PDF_PAGE_WIDTH = 612;
+const PDF_PAGE_HEIGHT = 792;
+const PDF_MARGIN = 50;
+const PDF_ROW_HEIGHT = 14;
+
+// Task table columns; maxChars keeps 9pt Helvetica inside the column width
+const PDF_COLUMNS = [
+    { label: 'Task', field: 'name', x: 50, maxChars: 42 },
+    { label: 'Owner', field: 'assignedToEmail', x: 255, maxChars: 30 },
+    { label: 'Due Date', field: 'dueDateFormatted', x: 405, maxChars: 14 },
+    { label: 'Priority', field: 'priority', x: 475, maxChars: 8 },
+    { label: 'Status', field: 'status', x: 520, maxChars: 12 }
+];
+
+const EXPORT_MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    json: 'application/json;charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Excel rejects cells longer than this
+const XLSX_MAX_CELL_CHARS = 32767;
+const XLSX_SHEET_NAME = 'Action Plans';
+
+// Control characters other than tab and line breaks are not allowed in XML
+const XML_INVALID_CHARACTERS = new RegExp('[\\u0000-\\u0008\\u000B\\u000C\\u000E-\\u001F]', 'g');
+
+/**
+ * Download the plan as an iCalendar file with one all-day event per dated task
+ */
+export function downloadCalendar(plan) {
+    const content = buildCalendar(plan);
+    downloadFile(
+        `action-plan-${plan.referenceId}.ics`,
+        `data:text/calendar;charset=utf-8,${encodeURIComponent(content)}`
+    );
+}
+
+/**
+ * Download the plan as a printable PDF summary
+ */
+export function downloadPdf(plan) {
+    const content = buildPdf(plan);
+    downloadFile(
+        `action-plan-${plan.referenceId}.pdf`,
+        `data:application/pdf;base64,${btoa(content)}`
+    );
+}
+
+/**
+ * Build an iCalendar document. Open tasks with reminderDaysBefore get a display alarm.
+ */
+export function buildCalendar(plan, now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(`Action Plan ${plan.referenceId}`)}`
+    ];
+
+    (plan.tasks || []).forEach((task, index) => {
+        if (!task.dueDate) {
+            return;
+        }
+
+        const description = [
+            task.description,
+            task.phase ? `Phase: ${task.phase}` : null,
+            task.assignedToEmail ? `Owner: ${task.assignedToEmail}` : null,
+            task.priority ? `Priority: ${task.priority}` : null,
+            `Status: ${task.status}`,
+            `Action plan: ${plan.referenceId}`
+        ].filter(value => value).join('\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${plan.referenceId}-${index + 1}@dynamic-action-plans`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toIcsDate(task.dueDate)}`,
+            `DTEND;VALUE=DATE:${toIcsDate(addDays(task.dueDate, 1))}`,
+            `SUMMARY:${escapeIcsText(task.name)}`,
+            `DESCRIPTION:${escapeIcsText(description)}`,
+            'TRANSP:TRANSPARENT'
+        );
+
+        if (task.status === 'Cancelled') {
+            lines.push('STATUS:CANCELLED');
+        }
+
+        const reminderDays = Number(task.reminderDaysBefore);
+        if (reminderDays > 0 && !CLOSED_TASK_STATUSES.includes(task.status)) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeIcsText(`Due in ${reminderDays} day(s): ${task.name}`)}`,
+                `TRIGGER:-P${reminderDays}D`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a PDF document as a binary string: a plan summary followed by the task table,
+ * grouped by phase when the plan has phases
+ */
+export function buildPdf(plan) {
+    const tasks = plan.tasks || [];
+    const completed = tasks.filter(task => task.status === 'Completed').length;
+    const pages = [];
+    let page;
+    let y;
+
+    const newPage = () => {
+        page = [];
+        pages.push(page);
+        y = PDF_PAGE_HEIGHT - PDF_MARGIN;
+    };
+    const addText = (text, x, size, bold) => {
+        page.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${escapePdfText(text)}) Tj ET`);
+    };
+    const addRule = () => {
+        page.push(`0.8 G ${PDF_MARGIN} ${y + 4} m ${PDF_PAGE_WIDTH - PDF_MARGIN} ${y + 4} l S 0 G`);
+    };
+    const addTableHeader = () => {
+        PDF_COLUMNS.forEach(column => addText(column.label, column.x, 9, true));
+        y -= 4;
+        addRule();
+        y -= PDF_ROW_HEIGHT - 4;
+    };
+    const ensureSpace = rows => {
+        if (y - rows * PDF_ROW_HEIGHT < PDF_MARGIN + PDF_ROW_HEIGHT) {
+            newPage();
+            addTableHeader();
+        }
+    };
+
+    newPage();
+    addText(`Action Plan ${plan.referenceId}`, PDF_MARGIN, 16, true);
+    y -= 26;
+
+    [
+        ['Status', plan.status],
+        ['Sync Status', plan.syncStatus],
+        ['Submitted', formatDateTime(plan.submissionDate)],
+        ['Progress', `${completed} of ${tasks.length} task(s) completed`]
+    ].forEach(([label, value]) => {
+        addText(`${label}:`, PDF_MARGIN, 10, true);
+        addText(value || '', PDF_MARGIN + 80, 10, false);
+        y -= PDF_ROW_HEIGHT;
+    });
+    y -= PDF_ROW_HEIGHT;
+
+    addTableHeader();
+
+    groupTasksByPhase(plan).forEach(group => {
+        if (group.name) {
+            ensureSpace(2);
+            const target = group.targetDate ? ` (target ${formatDate(group.targetDate)})` : '';
+            addText(`${group.name}${target}`, PDF_MARGIN, 10, true);
+            y -= PDF_ROW_HEIGHT;
+        }
+
+        group.tasks.forEach(task => {
+            ensureSpace(1);
+            const row = { ...task, dueDateFormatted: formatDate(task.dueDate) };
+            PDF_COLUMNS.forEach(column => {
+                addText(truncate(row[column.field], column.maxChars), column.x, 9, false);
+            });
+            y -= PDF_ROW_HEIGHT;
+        });
+    });
+
+    if (tasks.length === 0) {
+        addText('This action plan has no tasks.', PDF_MARGIN, 10, false);
+    }
+
+    // Footer once the page count is known
+    pages.forEach((content, index) => {
+        content.push(
+            `BT /F1 8 Tf ${PDF_MARGIN} ${PDF_MARGIN / 2} Td ` +
+            `(${escapePdfText(`${plan.referenceId} - Page ${index + 1} of ${pages.length}`)}) Tj ET`
+        );
+    });
+
+    return assemblePdf(pages.map(content => content.join('\n')));
+}
+
+/**
+ * Download a monitor export returned by ActionPlanMonitorController.exportSubmissions
+ */
+export function downloadExport(result) {
+    let content = result.content;
+    if (result.format === 'xlsx') {
+        content = buildXlsx(result.rows);
+    } else if (result.format === 'csv') {
+        // A byte order mark makes Excel read the file as UTF-8
+        content = `\uFEFF${content}`;
+    }
+
+    const url = URL.createObjectURL(new Blob([content], { type: EXPORT_MIME_TYPES[result.format] }));
+    downloadFile(result.fileName, url);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Build an XLSX workbook with one sheet of inline-string cells and a frozen header row.
+ * Apex cannot write zip files at our API version, so the server sends rows and the package is built here.
+ */
+export function buildXlsx(rows) {
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const text = escapeXml(truncate(value, XLSX_MAX_CELL_CHARS));
+            const ref = `${getColumnName(columnIndex)}${rowIndex + 1}`;
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+        });
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ' +
+                'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+                'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" ' +
+                'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ' +
+                'Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: xmlHeader +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${XLSX_SHEET_NAME}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" ' +
+                'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+                'Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: xmlHeader +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<sheetViews><sheetView workbookViewId="0">' +
+                '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+                '</sheetView></sheetViews>' +
+                `<sheetData>${sheetRows.join('')}</sheetData>` +
+                '</worksheet>'
+        }
+    ];
+
+    return buildZip(files);
+}
+
+// Phases in plan order followed by tasks without a phase, matching the status tracker
+function groupTasksByPhase(plan) {
+    const tasks = plan.tasks || [];
+    const phases = plan.phases || [];
+    if (phases.length === 0) {
+        return [{ name: null, tasks }];
+    }
+
+    const phaseNames = phases.map(phase => phase.name);
+    const groups = phases.map(phase => ({
+        name: phase.name,
+        targetDate: phase.targetDate,
+        tasks: tasks.filter(task => task.phase === phase.name)
+    }));
+    groups.push({
+        name: 'No Phase',
+        targetDate: null,
+        tasks: tasks.filter(task => !phaseNames.includes(task.phase))
+    });
+
+    return groups.filter(group => group.tasks.length > 0);
+}
+
+// Catalog, page tree, two standard fonts, then a page and content stream per page
+function assemblePdf(pageContents) {
+    const objects = [];
+    const pageObjectIds = pageContents.map((content, index) => 5 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map(id => `${id} 0 R`).join(' ')}] ` +
+        `/Count ${pageObjectIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    pageContents.forEach((content, index) => {
+        const pageId = pageObjectIds[index];
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = pdf.length;
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return pdf;
+}
+
+// The standard fonts only cover Latin-1, so other characters are replaced
+function escapePdfText(value) {
+    return String(value)
+        .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)');
+}
+
+function escapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        const limit = parts.length === 0 ? ICS_MAX_LINE_BYTES : ICS_MAX_LINE_BYTES - 1;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function toIcsDate(isoDate) {
+    return isoDate.replace(/-/g, '');
+}
+
+function addDays(isoDate, days) {
+    // Work in UTC so the calendar date never shifts with the browser time zone
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+function truncate(value, maxChars) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.length > maxChars ? `${text.substring(0, maxChars - 3)}...` : text;
+}
+
+// The PDF is drawn in Helvetica, which has no CJK glyphs, so its dates stay in English
+function formatDate(isoDate) {
+    if (!isoDate) return '';
+    return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+function formatDateTime(dateTimeValue) {
+    if (!dateTimeValue) return '';
+    return new Intl.DateTimeFormat('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        hour12: true
+    }).format(new Date(dateTimeValue));
+}
+
+// Uncompressed (stored) zip archive; every XLSX reader accepts it
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // Version needed to extract
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, 0, true); // Stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        archive.set(part, position);
+        position += part.length;
+    });
+    return archive;
+}
+
+let crcTable;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(value) {
+    return {
+        time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+        date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+}
+
+// Column index to spreadsheet letters: 0 -> A, 26 -> AA
+function getColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function escapeXml(value) {
+    return value
+        .replace(XML_INVALID_CHARACTERS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function downloadFile(fileName, dataUrl) {
+    const link = document.createElement('a');
+    link.href = dataUrl;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
@@ -0,0 +1,61 @@
+/**
+ * actionPlanFileUtils.js
+ * Checks and reads files guests attach to tasks, before they are sent to uploadTaskFile.
+ * The limits come from the server (getBuilderSettings or getTaskFiles), which checks them again.
+ */
+import { formatLabel, formatNumber } from 'c/actionPlanLocaleUtils';
+
+// Import custom labels
+import UPLOADS_DISABLED from '@salesforce/label/c.File_Uploads_Disabled';
+import TYPE_NOT_ALLOWED from '@salesforce/label/c.File_Type_Not_Allowed';
+import EMPTY from '@salesforce/label/c.File_Empty';
+import TOO_LARGE from '@salesforce/label/c.File_Too_Large';
+import MAX_PER_TASK from '@salesforce/label/c.File_Max_Per_Task';
+
+/**
+ * The reason a file cannot be attached, or null when it can
+ */
+export function validateFile(file, limits, existingCount = 0) {
+    const extension = getExtension(file.name);
+
+    if (!limits || !limits.fileUploadsEnabled) {
+        return UPLOADS_DISABLED;
+    }
+    if (!extension || !limits.allowedFileExtensions.includes(extension)) {
+        return formatLabel(TYPE_NOT_ALLOWED, file.name, limits.allowedFileExtensions.join(', '));
+    }
+    if (file.size === 0) {
+        return formatLabel(EMPTY, file.name);
+    }
+    if (file.size > limits.maxFileSizeBytes) {
+        return formatLabel(TOO_LARGE, file.name, formatFileSize(limits.maxFileSizeBytes));
+    }
+    if (existingCount >= limits.maxFilesPerTask) {
+        return formatLabel(MAX_PER_TASK, limits.maxFilesPerTask);
+    }
+    return null;
+}
+
+/**
+ * The file's contents as base64, without the data URL prefix
+ */
+export function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.substring(reader.result.indexOf(',') + 1));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+export function formatFileSize(bytes) {
+    if (!bytes || bytes < 1024 * 1024) {
+        return formatNumber(bytes ? Math.max(1, Math.round(bytes / 1024)) : 0, { style: 'unit', unit: 'kilobyte' });
+    }
+    return formatNumber(bytes / 1024 / 1024, { style: 'unit', unit: 'megabyte', maximumFractionDigits: 1 });
+}
+
+function getExtension(fileName) {
+    const index = fileName ? fileName.lastIndexOf('.') : -1;
+    return index > 0 ? fileName.substring(index + 1).toLowerCase() : null;
+}
@@ -0,0 +1,135 @@
+/**
+ * actionPlanLocaleUtils.js
+ * Locale, time zone and label helpers shared by the builder, the status tracker and the monitor.
+ * Formatting follows the running user's locale and time zone. For site guests these come from
+ * the site's guest user, unless the guest picked another language with the builder's switcher.
+ */
+import LOCALE from '@salesforce/i18n/locale';
+import LANG from '@salesforce/i18n/lang';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+import IS_GUEST from '@salesforce/user/isGuest';
+
+// Experience Cloud sites serve labels in the language named by this URL parameter
+const LANGUAGE_PARAMETER = 'language';
+
+const DATE_OPTIONS = { month: 'short', day: 'numeric', year: 'numeric' };
+const DATE_TIME_OPTIONS = { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' };
+const TIME_OPTIONS = { hour: 'numeric', minute: '2-digit' };
+
+export function getLocale() {
+    // A guest who switched language reads dates the way that language writes them
+    if (IS_GUEST && getLanguageCode(LOCALE) !== getLanguageCode(LANG)) {
+        return toLanguageTag(LANG);
+    }
+    return toLanguageTag(LOCALE);
+}
+
+export function getLanguage() {
+    return LANG;
+}
+
+export function getTimeZone() {
+    return TIME_ZONE;
+}
+
+/**
+ * A date-only value (YYYY-MM-DD) in the viewer's locale. Formatted in UTC so the calendar day
+ * never moves with the time zone: a task due on the 1st shows the 1st everywhere.
+ */
+export function formatDate(isoDate, options = DATE_OPTIONS) {
+    if (!isoDate) return '';
+
+    const [year, month, day] = String(isoDate).substring(0, 10).split('-').map(Number);
+    if (!year || !month || !day) return String(isoDate);
+
+    return new Intl.DateTimeFormat(getLocale(), { ...options, timeZone: 'UTC' })
+        .format(new Date(Date.UTC(year, month - 1, day)));
+}
+
+/**
+ * A timestamp in the viewer's locale and time zone
+ */
+export function formatDateTime(value, options = DATE_TIME_OPTIONS) {
+    if (!value) return '';
+    return new Intl.DateTimeFormat(getLocale(), { timeZone: getTimeZone(), ...options }).format(new Date(value));
+}
+
+export function formatTime(value, options = TIME_OPTIONS) {
+    return formatDateTime(value, options);
+}
+
+/**
+ * The calendar day a timestamp falls on in the viewer's time zone, such as when a link expires
+ */
+export function formatTimestampDate(value) {
+    return formatDateTime(value, DATE_OPTIONS);
+}
+
+export function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(getLocale(), options).format(value || 0);
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in the viewer's time zone
+ */
+export function getTodayIsoDate() {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        timeZone: getTimeZone()
+    }).formatToParts(new Date()).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Fill a custom label's {0}, {1}... placeholders, as String.format does in Apex
+ */
+export function formatLabel(label, ...values) {
+    return label.replace(/\{(\d+)\}/g, (placeholder, index) =>
+        values[index] !== undefined && values[index] !== null ? String(values[index]) : placeholder
+    );
+}
+
+/**
+ * Options for a language picker, each language named in its own language
+ */
+export function getLanguageOptions(languages) {
+    return languages.map(language => ({
+        value: language,
+        label: getLanguageName(language),
+        selected: getLanguageCode(language) === getLanguageCode(LANG) &&
+            (!language.includes('_') || toLanguageTag(language) === toLanguageTag(LANG))
+    }));
+}
+
+/**
+ * The current page's URL with another language
+ */
+export function buildLanguageUrl(href, language) {
+    const url = new URL(href);
+    url.searchParams.set(LANGUAGE_PARAMETER, language);
+    return url.toString();
+}
+
+function getLanguageName(language) {
+    const tag = toLanguageTag(language);
+    try {
+        const name = new Intl.DisplayNames([tag], { type: 'language' }).of(tag);
+        return name.charAt(0).toLocaleUpperCase(tag) + name.slice(1);
+    } catch (error) {
+        return language;
+    }
+}
+
+// Salesforce writes languages as en_US, Intl expects en-US
+function toLanguageTag(value) {
+    return String(value).replace('_', '-');
+}
+
+function getLanguageCode(value) {
+    return toLanguageTag(value).split('-')[0].toLowerCase();
+}
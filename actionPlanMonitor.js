@@ -8,7 +8,16 @@ import getMonitoringData from '@salesforce/apex/ActionPlanMonitorController.getM
 import processPendingPlans from '@salesforce/apex/ActionPlanMonitorController.processPendingPlans';
 import retryFailedPlans from '@salesforce/apex/ActionPlanMonitorController.retryFailedPlans';
 import getSystemHealth from '@salesforce/apex/ActionPlanMonitorController.getSystemHealth';
+import getSegmentSubmissions from '@salesforce/apex/ActionPlanMonitorController.getSegmentSubmissions';
+import bulkRetryPlans from '@salesforce/apex/ActionPlanMonitorController.bulkRetryPlans';
+import bulkReleasePlans from '@salesforce/apex/ActionPlanMonitorController.bulkReleasePlans';
+import bulkCancelPlans from '@salesforce/apex/ActionPlanMonitorController.bulkCancelPlans';
+import bulkMarkAsSpam from '@salesforce/apex/ActionPlanMonitorController.bulkMarkAsSpam';
+import bulkReassignTarget from '@salesforce/apex/ActionPlanMonitorController.bulkReassignTarget';
+import exportSubmissions from '@salesforce/apex/ActionPlanMonitorController.exportSubmissions';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { downloadExport } from 'c/actionPlanExportUtils';
+import { formatDateTime, formatNumber as formatLocaleNumber, formatTime } from 'c/actionPlanLocaleUtils';
 
 // Import custom labels
 import TITLE from '@salesforce/label/c.Action_Plan_Monitor_Title';
@@ -23,6 +32,14 @@ export default class ActionPlanMonitor extends LightningElement {
     @track showDetails = false;
     @track selectedStatus = 'all';
     @track showSystemHealth = false;
+    @track showSettings = false; // actionPlanMonitorSettings panel
+    @track showPrivacy = false; // actionPlanMonitorPrivacy panel
+    @track segmentFilter = null; // Day or heatmap cell clicked in the charts
+    @track selectedPlanId = null; // Plan shown in the actionPlanMonitorDetail panel
+    @track selectedPlanIds = []; // Rows checked in the recent, failed and quarantined tables
+    @track reassignTargetId = '';
+    @track bulkResults = []; // Per-record failures from the last bulk action
+    @track exportFormat = 'csv';
     
     // Dashboard metrics
     @track metrics = {
@@ -31,6 +48,8 @@ export default class ActionPlanMonitor extends LightningElement {
         processing: 0,
         synced: 0,
         failed: 0,
+        deadLetter: 0,
+        quarantined: 0,
         syncRate: 0,
         avgProcessingTime: 0,
         todaySubmissions: 0,
@@ -59,6 +78,8 @@ export default class ActionPlanMonitor extends LightningElement {
     // Table data
     @track recentSubmissions = [];
     @track failedSubmissions = [];
+    @track failureCategories = []; // Failed submissions grouped by root cause
+    @track quarantinedSubmissions = []; // Suspicious submissions held until released
     
     // Cached wire result for refresh
     wiredMonitoringResult;
@@ -82,6 +103,14 @@ export default class ActionPlanMonitor extends LightningElement {
         ];
     }
     
+    get exportFormatOptions() {
+        return [
+            { label: 'CSV', value: 'csv' },
+            { label: 'Excel (XLSX)', value: 'xlsx' },
+            { label: 'JSON', value: 'json' }
+        ];
+    }
+    
     // Status filter options
     get statusOptions() {
         return [
@@ -89,19 +118,94 @@ export default class ActionPlanMonitor extends LightningElement {
             { label: 'Pending', value: 'Pending' },
             { label: 'Processing', value: 'Processing' },
             { label: 'Synced', value: 'Synced' },
-            { label: 'Failed', value: 'Failed' }
+            { label: 'Failed', value: 'Failed' },
+            { label: 'Dead Letter', value: 'Dead Letter' },
+            { label: 'Quarantined', value: 'Quarantined' },
+            { label: 'Cancelled', value: 'Cancelled' },
+            { label: 'Spam', value: 'Spam' }
         ];
     }
     
     // Computed properties
     get formattedLastRefresh() {
         if (!this.lastRefreshTime) return 'Never';
-        return new Intl.DateTimeFormat('en-US', {
-            hour: 'numeric',
-            minute: 'numeric',
-            second: 'numeric',
-            hour12: true
-        }).format(this.lastRefreshTime);
+        return formatTime(this.lastRefreshTime, { hour: 'numeric', minute: '2-digit', second: '2-digit' });
+    }
+    
+    get hasSegmentFilter() {
+        return this.segmentFilter !== null;
+    }
+    
+    get selectedSegmentKey() {
+        return this.segmentFilter ? this.segmentFilter.key : null;
+    }
+    
+    get segmentFilterLabel() {
+        return this.segmentFilter ? `Showing submissions for ${this.segmentFilter.label}` : '';
+    }
+    
+    get hasSelectedPlan() {
+        return this.selectedPlanId !== null;
+    }
+    
+    // Only rows still listed in a table are acted on
+    get visibleSelectedIds() {
+        const visibleIds = new Set(
+            [...this.recentSubmissions, ...this.failedSubmissions, ...this.quarantinedSubmissions].map(record => record.Id)
+        );
+        return this.selectedPlanIds.filter(id => visibleIds.has(id));
+    }
+    
+    get selectedCount() {
+        return this.visibleSelectedIds.length;
+    }
+    
+    get hasSelection() {
+        return this.selectedCount > 0;
+    }
+    
+    get isBulkActionDisabled() {
+        return this.isLoading || !this.hasSelection;
+    }
+    
+    get isReassignDisabled() {
+        return this.isBulkActionDisabled || !this.reassignTargetId.trim();
+    }
+    
+    get selectionLabel() {
+        return `${this.selectedCount} selected`;
+    }
+    
+    get allRecentSelected() {
+        return this.isAllSelected(this.recentSubmissions);
+    }
+    
+    get allFailedSelected() {
+        return this.isAllSelected(this.failedSubmissions);
+    }
+    
+    get allQuarantinedSelected() {
+        return this.isAllSelected(this.quarantinedSubmissions);
+    }
+    
+    get hasBulkResults() {
+        return this.bulkResults.length > 0;
+    }
+    
+    get hasFailureCategories() {
+        return this.failureCategories.length > 0;
+    }
+    
+    get failureCategoryRows() {
+        return this.failureCategories.map(group => ({
+            ...group,
+            retryableLabel: group.retryable ? 'Retryable' : 'Needs fix',
+            retryableClass: group.retryable ? 'slds-badge slds-theme_warning' : 'slds-badge slds-theme_error',
+            exampleItems: (group.examples || []).map((message, index) => ({
+                key: `${group.category}-${index}`,
+                message
+            }))
+        }));
     }
     
     get hasPendingPlans() {
@@ -112,6 +216,16 @@ export default class ActionPlanMonitor extends LightningElement {
         return this.metrics.failed > 0;
     }
     
+    // Dead-letter plans are never retried automatically
+    get hasDeadLetterPlans() {
+        return this.metrics.deadLetter > 0;
+    }
+    
+    // Quarantined plans wait for someone to release them or mark them as spam
+    get hasQuarantinedPlans() {
+        return this.metrics.quarantined > 0;
+    }
+    
     get syncRateClass() {
         if (this.metrics.syncRate >= 95) return 'slds-text-color_success';
         if (this.metrics.syncRate >= 80) return 'slds-text-color_weak';
@@ -147,6 +261,10 @@ export default class ActionPlanMonitor extends LightningElement {
         if (result.data) {
             this.processMonitoringData(result.data);
             this.lastRefreshTime = new Date();
+            
+            if (this.segmentFilter) {
+                this.loadSegmentSubmissions();
+            }
         } else if (result.error) {
             this.handleError(result.error);
         }
@@ -199,41 +317,110 @@ export default class ActionPlanMonitor extends LightningElement {
             }
         }
         
-        // Update chart data
+        // Update chart data - actionPlanMonitorCharts redraws from it
         if (data.chartData) {
             this.chartData = data.chartData;
-            // In production, you would render charts here using Chart.js or D3
         }
         
-        // Update tables
-        if (data.recentSubmissions) {
+        // Update tables; a chart segment filter replaces the recent submissions
+        if (data.recentSubmissions && !this.segmentFilter) {
             this.recentSubmissions = this.processTableData(data.recentSubmissions);
         }
         
         if (data.failedSubmissions) {
             this.failedSubmissions = this.processTableData(data.failedSubmissions);
         }
+        
+        if (data.failureCategories) {
+            this.failureCategories = data.failureCategories;
+        }
+        
+        if (data.quarantinedSubmissions) {
+            this.quarantinedSubmissions = this.processTableData(data.quarantinedSubmissions);
+        }
     }
     
     processTableData(records) {
         return records.map(record => ({
             ...record,
-            submissionDateFormatted: this.formatDateTime(record.Submission_Date__c),
+            submissionDateFormatted: formatDateTime(record.Submission_Date__c),
             statusClass: this.getStatusClass(record.Status__c),
             statusIcon: this.getStatusIcon(record.Status__c),
-            viewUrl: `/lightning/r/Custom_Action_Plan__c/${record.Id}/view`
+            viewUrl: `/lightning/r/Custom_Action_Plan__c/${record.Id}/view`,
+            isSelected: this.selectedPlanIds.includes(record.Id)
         }));
     }
     
+    // Refresh the row checkboxes after the selection changes
+    applySelection() {
+        const markSelected = record => ({ ...record, isSelected: this.selectedPlanIds.includes(record.Id) });
+        this.recentSubmissions = this.recentSubmissions.map(markSelected);
+        this.failedSubmissions = this.failedSubmissions.map(markSelected);
+        this.quarantinedSubmissions = this.quarantinedSubmissions.map(markSelected);
+    }
+    
+    isAllSelected(records) {
+        return records.length > 0 && records.every(record => this.selectedPlanIds.includes(record.Id));
+    }
+    
+    async loadSegmentSubmissions() {
+        const filter = this.segmentFilter;
+        
+        try {
+            const records = await getSegmentSubmissions({
+                timeRangeDays: this.selectedTimeRange,
+                statusFilter: this.selectedStatus,
+                submissionDay: filter.submissionDay || null,
+                dayOfWeek: filter.dayOfWeek || null,
+                hourOfDay: filter.hourOfDay !== undefined ? filter.hourOfDay : null
+            });
+            
+            // Ignore results for a segment that has since been cleared or replaced
+            if (this.segmentFilter === filter) {
+                this.recentSubmissions = this.processTableData(records);
+            }
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+    
     // Event handlers
     handleTimeRangeChange(event) {
         this.selectedTimeRange = event.detail.value;
+        // The clicked day may be outside the new range
+        this.segmentFilter = null;
     }
     
     handleStatusFilterChange(event) {
         this.selectedStatus = event.detail.value;
     }
     
+    // Clicking a status segment sets the status filter, clicking a day or hour filters the tables.
+    // Clicking the active segment again clears it.
+    handleChartSegmentSelect(event) {
+        const segment = event.detail;
+        
+        if (segment.type === 'status') {
+            this.selectedStatus = this.selectedStatus === segment.status ? 'all' : segment.status;
+            return;
+        }
+        
+        if (this.segmentFilter && this.segmentFilter.key === segment.key) {
+            this.handleClearSegmentFilter();
+            return;
+        }
+        
+        this.segmentFilter = segment;
+        this.loadSegmentSubmissions();
+    }
+    
+    handleClearSegmentFilter() {
+        this.segmentFilter = null;
+        if (this.wiredMonitoringResult && this.wiredMonitoringResult.data) {
+            this.recentSubmissions = this.processTableData(this.wiredMonitoringResult.data.recentSubmissions || []);
+        }
+    }
+    
     async handleRefresh() {
         this.isLoading = true;
         
@@ -280,9 +467,12 @@ export default class ActionPlanMonitor extends LightningElement {
             const result = await retryFailedPlans();
             
             if (result.success) {
+                const skipped = result.skipped > 0 ?
+                    `; skipped ${result.skipped} that need to be fixed first` :
+                    '';
                 this.showToast(
                     'Success', 
-                    `Retrying ${result.count} failed plan(s)`, 
+                    `Retrying ${result.count} failed plan(s)${skipped}`, 
                     'success'
                 );
                 
@@ -309,41 +499,189 @@ export default class ActionPlanMonitor extends LightningElement {
         }
     }
     
+    handleToggleSettings() {
+        this.showSettings = !this.showSettings;
+    }
+    
+    handleCloseSettings() {
+        this.showSettings = false;
+    }
+    
+    // Saved settings can change what the sync and retry figures mean, so reload them
+    async handleSettingsChange() {
+        try {
+            await refreshApex(this.wiredMonitoringResult);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+    
+    handleTogglePrivacy() {
+        this.showPrivacy = !this.showPrivacy;
+    }
+    
+    handleClosePrivacy() {
+        this.showPrivacy = false;
+    }
+    
+    // Erased plans disappear from every table and figure
+    async handleGuestDataErase() {
+        this.selectedPlanIds = [];
+        this.selectedPlanId = null;
+        
+        try {
+            await refreshApex(this.wiredMonitoringResult);
+            if (this.segmentFilter) {
+                await this.loadSegmentSubmissions();
+            }
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+    
+    // Open the detail panel; the panel links to the record page itself
     handleViewRecord(event) {
-        const recordId = event.currentTarget.dataset.recordId;
-        window.open(`/lightning/r/Custom_Action_Plan__c/${recordId}/view`, '_blank');
+        this.selectedPlanId = event.currentTarget.dataset.recordId;
     }
     
-    handleExportData() {
-        // Export current data as CSV
-        const csv = this.convertToCSV(this.recentSubmissions);
-        this.downloadCSV(csv, `action-plans-${Date.now()}.csv`);
-        this.showToast('Success', 'Data exported successfully', 'success');
+    handleCloseDetail() {
+        this.selectedPlanId = null;
     }
     
-    // Utility methods
-    formatDateTime(dateTimeString) {
-        if (!dateTimeString) return '';
+    // A plan was retried or reset from the detail panel
+    async handleDetailPlanChange() {
+        try {
+            await refreshApex(this.wiredMonitoringResult);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+    
+    // Row selection
+    handleRowSelect(event) {
+        const recordId = event.target.dataset.recordId;
+        const others = this.selectedPlanIds.filter(id => id !== recordId);
+        this.selectedPlanIds = event.target.checked ? [...others, recordId] : others;
+        this.applySelection();
+    }
+    
+    handleSelectAll(event) {
+        const tables = {
+            failed: this.failedSubmissions,
+            quarantined: this.quarantinedSubmissions
+        };
+        const records = tables[event.target.dataset.table] || this.recentSubmissions;
+        const tableIds = records.map(record => record.Id);
+        const others = this.selectedPlanIds.filter(id => !tableIds.includes(id));
+        this.selectedPlanIds = event.target.checked ? [...others, ...tableIds] : others;
+        this.applySelection();
+    }
+    
+    handleClearSelection() {
+        this.selectedPlanIds = [];
+        this.applySelection();
+    }
+    
+    handleReassignTargetChange(event) {
+        this.reassignTargetId = event.detail.value || '';
+    }
+    
+    handleDismissBulkResults() {
+        this.bulkResults = [];
+    }
+    
+    // Bulk actions
+    handleBulkRetry() {
+        this.runBulkAction(bulkRetryPlans, {}, 'retried');
+    }
+    
+    handleBulkRelease() {
+        this.runBulkAction(bulkReleasePlans, {}, 'released');
+    }
+    
+    handleBulkCancel() {
+        this.runBulkAction(bulkCancelPlans, {}, 'cancelled');
+    }
+    
+    handleBulkMarkSpam() {
+        this.runBulkAction(bulkMarkAsSpam, {}, 'marked as spam');
+    }
+    
+    handleBulkReassign() {
+        this.runBulkAction(bulkReassignTarget, { targetRecordId: this.reassignTargetId.trim() }, 'reassigned');
+    }
+    
+    // Run a bulk action on the selected rows and keep the per-record failures on screen
+    async runBulkAction(action, params, verb) {
+        this.isLoading = true;
         
-        const date = new Date(dateTimeString);
-        return new Intl.DateTimeFormat('en-US', {
-            month: 'short',
-            day: 'numeric',
-            year: 'numeric',
-            hour: 'numeric',
-            minute: 'numeric',
-            hour12: true
-        }).format(date);
+        try {
+            const result = await action({ planIds: this.visibleSelectedIds, ...params });
+            
+            this.bulkResults = (result.results || []).filter(entry => !entry.success);
+            this.showToast(
+                result.failureCount > 0 ? 'Warning' : 'Success',
+                `${result.successCount} plan(s) ${verb}` +
+                    (result.failureCount > 0 ? `, ${result.failureCount} could not be updated` : ''),
+                result.failureCount > 0 ? 'warning' : 'success'
+            );
+            
+            this.selectedPlanIds = [];
+            if (verb === 'reassigned') {
+                this.reassignTargetId = '';
+            }
+            
+            await refreshApex(this.wiredMonitoringResult);
+            if (this.segmentFilter) {
+                await this.loadSegmentSubmissions();
+            }
+        } catch (error) {
+            this.handleError(error);
+        } finally {
+            this.isLoading = false;
+        }
     }
     
+    handleExportFormatChange(event) {
+        this.exportFormat = event.detail.value;
+    }
+    
+    // Export every submission in the time range and status filter, not just the rows on screen
+    async handleExportData() {
+        this.isLoading = true;
+        
+        try {
+            const result = await exportSubmissions({
+                timeRangeDays: this.selectedTimeRange,
+                statusFilter: this.selectedStatus,
+                format: this.exportFormat
+            });
+            
+            downloadExport(result);
+            
+            if (result.truncated) {
+                this.showToast(
+                    'Warning',
+                    `Exported the ${result.rowCount} most recent plans. Narrow the time range or status to export the rest.`,
+                    'warning'
+                );
+            } else {
+                this.showToast('Success', `Exported ${result.rowCount} plan(s)`, 'success');
+            }
+        } catch (error) {
+            this.handleError(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+    
+    // Utility methods
     formatNumber(num) {
-        if (num === null || num === undefined) return '0';
-        return new Intl.NumberFormat('en-US').format(num);
+        return formatLocaleNumber(num);
     }
     
     formatPercentage(num) {
-        if (num === null || num === undefined) return '0%';
-        return `${Math.round(num)}%`;
+        return formatLocaleNumber((num || 0) / 100, { style: 'percent', maximumFractionDigits: 0 });
     }
     
     getStatusClass(status) {
@@ -351,7 +689,11 @@ export default class ActionPlanMonitor extends LightningElement {
             'Pending': 'slds-badge',
             'Processing': 'slds-badge slds-theme_warning',
             'Synced': 'slds-badge slds-theme_success',
-            'Failed': 'slds-badge slds-theme_error'
+            'Failed': 'slds-badge slds-theme_error',
+            'Dead Letter': 'slds-badge slds-theme_error',
+            'Quarantined': 'slds-badge slds-theme_warning',
+            'Cancelled': 'slds-badge slds-badge_lightest',
+            'Spam': 'slds-badge slds-badge_inverse'
         };
         return statusClasses[status] || 'slds-badge';
     }
@@ -361,53 +703,15 @@ export default class ActionPlanMonitor extends LightningElement {
             'Pending': 'utility:clock',
             'Processing': 'utility:sync',
             'Synced': 'utility:success',
-            'Failed': 'utility:error'
+            'Failed': 'utility:error',
+            'Dead Letter': 'utility:warning',
+            'Quarantined': 'utility:shield',
+            'Cancelled': 'utility:close',
+            'Spam': 'utility:ban'
         };
         return statusIcons[status] || 'utility:question';
     }
     
-    convertToCSV(data) {
-        if (!data || data.length === 0) return '';
-        
-        // Get headers
-        const headers = [
-            'Reference ID',
-            'Status',
-            'Sync Status',
-            'Submitted By',
-            'Submission Date'
-        ];
-        const csvHeaders = headers.join(',');
-        
-        // Get rows
-        const csvRows = data.map(row => {
-            return [
-                row.External_Reference_Id__c || '',
-                row.Status__c || '',
-                row.Sync_Status__c || '',
-                row.Submitted_By_Email__c || '',
-                row.Submission_Date__c || ''
-            ].map(value => {
-                // Escape values containing commas
-                return typeof value === 'string' && value.includes(',') 
-                    ? `"${value}"` 
-                    : value;
-            }).join(',');
-        });
-        
-        return `${csvHeaders}\n${csvRows.join('\n')}`;
-    }
-    
-    downloadCSV(csv, filename) {
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        link.click();
-        window.URL.revokeObjectURL(url);
-    }
-    
     handleError(error) {
         console.error('Error:', error);
         const message = error.body?.message || error.message || 'An error occurred';
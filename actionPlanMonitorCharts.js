@@ -0,0 +1,267 @@
+/**
+ * actionPlanMonitorCharts.js
+ * SVG charts for the action plan monitor: submissions over time, an hourly heatmap and a status donut.
+ * Clicking a bar, cell or segment fires a segmentselect event so the monitor can filter its tables.
+ */
+import { LightningElement, api } from 'lwc';
+import { formatDate, formatDateTime } from 'c/actionPlanLocaleUtils';
+
+// Short weekday names in the viewer's locale, Sunday first. 4 January 2026 was a Sunday.
+const WEEKDAY_LABELS = [4, 5, 6, 7, 8, 9, 10].map(day => formatDate(`2026-01-${String(day).padStart(2, '0')}`, { weekday: 'short' }));
+
+const STATUS_COLORS = {
+    'Pending': '#fe9339',
+    'Processing': '#0176d3',
+    'Synced': '#2e844a',
+    'Failed': '#ea001e',
+    'Dead Letter': '#8e030f',
+    'Quarantined': '#dd7a01',
+    'Cancelled': '#939393',
+    'Spam': '#3e3e3c'
+};
+const DEFAULT_STATUS_COLOR = '#706e6b';
+
+// Chart geometry in SVG user units, matching the viewBox sizes in the template
+const DAILY_WIDTH = 600;
+const DAILY_HEIGHT = 180;
+const DAILY_AXIS_HEIGHT = 20;
+const DAILY_MAX_LABELS = 8;
+const HEATMAP_LABEL_WIDTH = 36;
+const HEATMAP_CELL_WIDTH = 23;
+const HEATMAP_CELL_HEIGHT = 20;
+const DONUT_CENTER = 100;
+const DONUT_OUTER_RADIUS = 90;
+const DONUT_INNER_RADIUS = 55;
+
+export default class ActionPlanMonitorCharts extends LightningElement {
+    @api chartData = { daily: [], hourly: [], statusDistribution: [] };
+    @api timeRangeDays = '7';
+    @api selectedStatus = 'all';
+    @api selectedSegmentKey; // Key of the bar or heatmap cell the monitor is filtered by
+
+    // Submissions over time - one bar per day in the range, including days without submissions
+    get dailyBars() {
+        const countsByDate = new Map(
+            (this.chartData?.daily || []).map(entry => [entry.date, Number(entry.count) || 0])
+        );
+        const days = this.getRangeDates();
+        const maxCount = Math.max(1, ...days.map(date => countsByDate.get(date) || 0));
+        const slotWidth = DAILY_WIDTH / days.length;
+        const plotHeight = DAILY_HEIGHT - DAILY_AXIS_HEIGHT;
+        const labelEvery = Math.ceil(days.length / DAILY_MAX_LABELS);
+
+        return days.map((date, index) => {
+            const count = countsByDate.get(date) || 0;
+            const height = Math.round((count / maxCount) * (plotHeight - 10));
+            const key = `day-${date}`;
+
+            return {
+                key,
+                date,
+                count,
+                x: (index * slotWidth + slotWidth * 0.15).toFixed(1),
+                y: plotHeight - height,
+                width: (slotWidth * 0.7).toFixed(1),
+                height,
+                labelX: (index * slotWidth + slotWidth / 2).toFixed(1),
+                label: this.formatShortDate(date),
+                showLabel: index % labelEvery === 0,
+                title: `${this.formatShortDate(date)}: ${count} submission(s)`,
+                className: key === this.selectedSegmentKey ? 'chart-bar chart-bar_selected' : 'chart-bar'
+            };
+        });
+    }
+
+    get dailyAxisLabels() {
+        return this.dailyBars.filter(bar => bar.showLabel);
+    }
+
+    get hasDailyData() {
+        return (this.chartData?.daily || []).length > 0;
+    }
+
+    // Hourly heatmap - weekday rows by hour columns, shaded by submission count
+    get heatmapRows() {
+        const countsByCell = new Map(
+            (this.chartData?.hourly || []).map(entry => [
+                `${entry.dayOfWeek}-${entry.hour}`,
+                Number(entry.count) || 0
+            ])
+        );
+        const maxCount = Math.max(1, ...countsByCell.values());
+
+        return WEEKDAY_LABELS.map((weekday, rowIndex) => {
+            const dayOfWeek = rowIndex + 1; // Salesforce DAY_IN_WEEK: 1 = Sunday
+            const y = rowIndex * HEATMAP_CELL_HEIGHT;
+
+            const cells = [];
+            for (let hour = 0; hour < 24; hour++) {
+                const count = countsByCell.get(`${dayOfWeek}-${hour}`) || 0;
+                const key = `hour-${dayOfWeek}-${hour}`;
+                cells.push({
+                    key,
+                    dayOfWeek,
+                    hour,
+                    count,
+                    x: HEATMAP_LABEL_WIDTH + hour * HEATMAP_CELL_WIDTH,
+                    y,
+                    width: HEATMAP_CELL_WIDTH - 2,
+                    height: HEATMAP_CELL_HEIGHT - 2,
+                    opacity: count === 0 ? 0.06 : (0.2 + 0.8 * (count / maxCount)).toFixed(2),
+                    title: `${weekday} ${this.formatHour(hour)}: ${count} submission(s)`,
+                    className: key === this.selectedSegmentKey ? 'chart-cell chart-cell_selected' : 'chart-cell'
+                });
+            }
+
+            return {
+                key: `row-${dayOfWeek}`,
+                label: weekday,
+                labelY: y + HEATMAP_CELL_HEIGHT * 0.7,
+                cells
+            };
+        });
+    }
+
+    get heatmapHourLabels() {
+        return [0, 6, 12, 18].map(hour => ({
+            key: `hour-label-${hour}`,
+            label: this.formatHour(hour),
+            x: HEATMAP_LABEL_WIDTH + hour * HEATMAP_CELL_WIDTH
+        }));
+    }
+
+    get hasHourlyData() {
+        return (this.chartData?.hourly || []).length > 0;
+    }
+
+    // Status donut
+    get statusSegments() {
+        const entries = (this.chartData?.statusDistribution || [])
+            .map(entry => ({ status: entry.status, count: Number(entry.count) || 0 }))
+            .filter(entry => entry.count > 0);
+        const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+        let startFraction = 0;
+
+        return entries.map(entry => {
+            const fraction = entry.count / total;
+            const isSelected = entry.status === this.selectedStatus;
+            const segment = {
+                key: `status-${entry.status}`,
+                status: entry.status,
+                count: entry.count,
+                percent: Math.round(fraction * 100),
+                color: STATUS_COLORS[entry.status] || DEFAULT_STATUS_COLOR,
+                path: this.describeDonutSegment(startFraction, startFraction + fraction),
+                title: `${entry.status}: ${entry.count} (${Math.round(fraction * 100)}%)`,
+                className: isSelected ? 'chart-segment chart-segment_selected' : 'chart-segment',
+                legendClass: isSelected ? 'chart-legend-item chart-legend-item_selected' : 'chart-legend-item',
+                swatchStyle: `background-color: ${STATUS_COLORS[entry.status] || DEFAULT_STATUS_COLOR}`
+            };
+            startFraction += fraction;
+            return segment;
+        });
+    }
+
+    get statusTotal() {
+        return this.statusSegments.reduce((sum, segment) => sum + segment.count, 0);
+    }
+
+    get hasStatusData() {
+        return this.statusSegments.length > 0;
+    }
+
+    // Event handlers
+    handleDayClick(event) {
+        const { date } = event.currentTarget.dataset;
+        this.selectSegment({
+            type: 'day',
+            key: `day-${date}`,
+            submissionDay: date,
+            label: this.formatShortDate(date)
+        });
+    }
+
+    handleHourClick(event) {
+        const dayOfWeek = Number(event.currentTarget.dataset.dayOfWeek);
+        const hour = Number(event.currentTarget.dataset.hour);
+        this.selectSegment({
+            type: 'hour',
+            key: `hour-${dayOfWeek}-${hour}`,
+            dayOfWeek,
+            hourOfDay: hour,
+            label: `${WEEKDAY_LABELS[dayOfWeek - 1]} ${this.formatHour(hour)}`
+        });
+    }
+
+    handleStatusClick(event) {
+        const { status } = event.currentTarget.dataset;
+        this.selectSegment({ type: 'status', key: `status-${status}`, status, label: status });
+    }
+
+    // Enter and Space activate a focused chart element like a button
+    handleSegmentKeyDown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            event.currentTarget.dispatchEvent(new CustomEvent('click'));
+        }
+    }
+
+    selectSegment(detail) {
+        this.dispatchEvent(new CustomEvent('segmentselect', { detail }));
+    }
+
+    // Geometry
+    describeDonutSegment(startFraction, endFraction) {
+        // A full ring cannot be drawn as a single arc, so split it in two
+        if (endFraction - startFraction >= 0.9999) {
+            return `${this.describeDonutSegment(0, 0.5)} ${this.describeDonutSegment(0.5, 1)}`;
+        }
+
+        const outerStart = this.pointOnCircle(DONUT_OUTER_RADIUS, startFraction);
+        const outerEnd = this.pointOnCircle(DONUT_OUTER_RADIUS, endFraction);
+        const innerEnd = this.pointOnCircle(DONUT_INNER_RADIUS, endFraction);
+        const innerStart = this.pointOnCircle(DONUT_INNER_RADIUS, startFraction);
+        const largeArc = endFraction - startFraction > 0.5 ? 1 : 0;
+
+        return [
+            `M ${outerStart}`,
+            `A ${DONUT_OUTER_RADIUS} ${DONUT_OUTER_RADIUS} 0 ${largeArc} 1 ${outerEnd}`,
+            `L ${innerEnd}`,
+            `A ${DONUT_INNER_RADIUS} ${DONUT_INNER_RADIUS} 0 ${largeArc} 0 ${innerStart}`,
+            'Z'
+        ].join(' ');
+    }
+
+    // Fractions run clockwise from 12 o'clock
+    pointOnCircle(radius, fraction) {
+        const angle = fraction * 2 * Math.PI - Math.PI / 2;
+        const x = DONUT_CENTER + radius * Math.cos(angle);
+        const y = DONUT_CENTER + radius * Math.sin(angle);
+        return `${x.toFixed(2)} ${y.toFixed(2)}`;
+    }
+
+    // Utility methods
+    getRangeDates() {
+        const days = Number(this.timeRangeDays) || 7;
+        const today = new Date();
+        const dates = [];
+
+        for (let offset = days; offset >= 0; offset--) {
+            const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            dates.push(`${date.getFullYear()}-${month}-${day}`);
+        }
+
+        return dates;
+    }
+
+    formatShortDate(isoDate) {
+        return formatDate(isoDate, { month: 'short', day: 'numeric' });
+    }
+
+    // Only the hour is shown, so any day in UTC will do
+    formatHour(hour) {
+        return formatDateTime(Date.UTC(2000, 0, 1, hour), { hour: 'numeric', timeZone: 'UTC' });
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * actionPlanMonitorDetail.js
+ * Drill-down panel for one action plan in the monitor: tasks, log timeline, links and per-plan actions
+ */
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getPlanDetail from '@salesforce/apex/ActionPlanMonitorController.getPlanDetail';
+import retryPlan from '@salesforce/apex/ActionPlanMonitorController.retryPlan';
+import resetPlanToPending from '@salesforce/apex/ActionPlanMonitorController.resetPlanToPending';
+import { formatDate, formatDateTime } from 'c/actionPlanLocaleUtils';
+
+// Log details longer than this are collapsed in the timeline
+const COLLAPSED_DETAIL_LENGTH = 280;
+
+const LOG_ICONS = {
+    'Created': 'utility:add',
+    'Updated': 'utility:edit',
+    'Synced': 'utility:success',
+    'Failed': 'utility:error',
+    'Completed': 'utility:check'
+};
+
+export default class ActionPlanMonitorDetail extends LightningElement {
+    @track plan = null;
+    @track tasks = [];
+    @track logs = [];
+    @track canRetry = false;
+    @track isLoading = false;
+    @track error = null;
+    @track expandedLogIds = [];
+
+    _planId;
+
+    @api
+    get planId() {
+        return this._planId;
+    }
+
+    set planId(value) {
+        this._planId = value;
+        this.expandedLogIds = [];
+        if (value) {
+            this.loadDetail();
+        }
+    }
+
+    // Computed properties
+    get hasPlan() {
+        return this.plan !== null;
+    }
+
+    get statusClass() {
+        return this.hasPlan ? this.getStatusClass(this.plan.Status__c) : 'slds-badge';
+    }
+
+    get hasError() {
+        return this.hasPlan && !!this.plan.Error_Message__c;
+    }
+
+    get submissionDateFormatted() {
+        return this.hasPlan ? formatDateTime(this.plan.Submission_Date__c) : '';
+    }
+
+    get attemptCount() {
+        return this.hasPlan ? this.plan.Sync_Attempt_Count__c || 0 : 0;
+    }
+
+    get hasNextAttempt() {
+        return this.hasPlan && !!this.plan.Next_Attempt_Date__c;
+    }
+
+    get nextAttemptFormatted() {
+        return this.hasNextAttempt ? formatDateTime(this.plan.Next_Attempt_Date__c) : '';
+    }
+
+    get isDeadLetter() {
+        return this.hasPlan && this.plan.Status__c === 'Dead Letter';
+    }
+
+    get isQuarantined() {
+        return this.hasPlan && this.plan.Status__c === 'Quarantined';
+    }
+
+    get retryableLabel() {
+        return this.hasPlan && this.plan.Is_Retryable__c ? 'Retryable' : 'Needs fix before retrying';
+    }
+
+    get recordUrl() {
+        return this.hasPlan ? `/lightning/r/Custom_Action_Plan__c/${this.plan.Id}/view` : null;
+    }
+
+    get nativePlanUrl() {
+        return this.hasPlan && this.plan.Native_Action_Plan_Id__c ?
+            `/lightning/r/ActionPlan/${this.plan.Native_Action_Plan_Id__c}/view` :
+            null;
+    }
+
+    get relatedRecordUrl() {
+        return this.hasPlan && this.plan.Related_Record_Id__c ?
+            `/lightning/r/${this.plan.Related_Object_Type__c || 'Lead'}/${this.plan.Related_Record_Id__c}/view` :
+            null;
+    }
+
+    get relatedRecordLabel() {
+        return this.hasPlan ? `View ${this.plan.Related_Object_Type__c || 'Related Record'}` : '';
+    }
+
+    get hasTasks() {
+        return this.tasks.length > 0;
+    }
+
+    get taskRows() {
+        return this.tasks.map(task => ({
+            ...task,
+            dueDateFormatted: formatDate(task.Due_Date__c),
+            statusClass: this.getTaskStatusClass(task.Status__c),
+            syncedLabel: task.Native_Action_Plan_Task_Id__c ? 'Yes' : 'No'
+        }));
+    }
+
+    get hasLogs() {
+        return this.logs.length > 0;
+    }
+
+    // Oldest event first so the timeline reads as the plan's history
+    get timelineItems() {
+        return this.logs.map(log => {
+            const details = log.Details__c || '';
+            const isLong = details.length > COLLAPSED_DETAIL_LENGTH;
+            const isExpanded = this.expandedLogIds.includes(log.Id);
+
+            return {
+                ...log,
+                eventDateFormatted: formatDateTime(log.Event_Date__c),
+                iconName: LOG_ICONS[log.Event_Type__c] || 'utility:info',
+                itemClass: log.Event_Type__c === 'Failed' ?
+                    'slds-timeline__item_expandable timeline-item timeline-item_error' :
+                    'slds-timeline__item_expandable timeline-item',
+                detailsText: isLong && !isExpanded ? `${details.substring(0, COLLAPSED_DETAIL_LENGTH)}...` : details,
+                isLong,
+                toggleLabel: isExpanded ? 'Show less' : 'Show more'
+            };
+        });
+    }
+
+    get isRetryDisabled() {
+        return this.isLoading || !this.canRetry;
+    }
+
+    // Data loading
+    async loadDetail() {
+        const requestedPlanId = this._planId;
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            const detail = await getPlanDetail({ planId: requestedPlanId });
+
+            // Ignore a response for a plan that is no longer selected
+            if (requestedPlanId !== this._planId) return;
+
+            this.plan = detail.plan;
+            this.tasks = detail.tasks || [];
+            this.logs = detail.logs || [];
+            this.canRetry = detail.canRetry;
+        } catch (error) {
+            this.plan = null;
+            this.error = error.body?.message || error.message || 'Unable to load action plan';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // Event handlers
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    handleRefresh() {
+        this.loadDetail();
+    }
+
+    handleToggleLogDetails(event) {
+        const logId = event.currentTarget.dataset.logId;
+        this.expandedLogIds = this.expandedLogIds.includes(logId) ?
+            this.expandedLogIds.filter(id => id !== logId) :
+            [...this.expandedLogIds, logId];
+    }
+
+    handleRetry() {
+        this.runPlanAction(retryPlan);
+    }
+
+    handleResetToPending() {
+        this.runPlanAction(resetPlanToPending);
+    }
+
+    // Run a per-plan action, reload the panel and let the monitor refresh its tables
+    async runPlanAction(action) {
+        this.isLoading = true;
+
+        try {
+            const result = await action({ planId: this._planId });
+            this.showToast('Success', result.message, 'success');
+            this.dispatchEvent(new CustomEvent('planchange', { detail: { planId: this._planId } }));
+            await this.loadDetail();
+        } catch (error) {
+            this.showToast('Error', error.body?.message || error.message || 'An error occurred', 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // Utility methods
+    getStatusClass(status) {
+        const statusClasses = {
+            'Pending': 'slds-badge',
+            'Processing': 'slds-badge slds-theme_warning',
+            'Synced': 'slds-badge slds-theme_success',
+            'Failed': 'slds-badge slds-theme_error',
+            'Dead Letter': 'slds-badge slds-theme_error',
+            'Quarantined': 'slds-badge slds-theme_warning',
+            'Cancelled': 'slds-badge slds-badge_lightest',
+            'Spam': 'slds-badge slds-badge_inverse'
+        };
+        return statusClasses[status] || 'slds-badge';
+    }
+
+    getTaskStatusClass(status) {
+        const statusClasses = {
+            'Not Started': 'slds-badge',
+            'In Progress': 'slds-badge slds-theme_warning',
+            'Completed': 'slds-badge slds-theme_success',
+            'Cancelled': 'slds-badge slds-badge_lightest'
+        };
+        return statusClasses[status] || 'slds-badge';
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
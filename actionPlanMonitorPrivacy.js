@@ -0,0 +1,89 @@
+/**
+ * actionPlanMonitorPrivacy.js
+ * Privacy panel for the monitor: find and erase everything held about a guest email address
+ */
+import { LightningElement, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import LightningConfirm from 'lightning/confirm';
+import findGuestData from '@salesforce/apex/ActionPlanMonitorController.findGuestData';
+import eraseGuestData from '@salesforce/apex/ActionPlanMonitorController.eraseGuestData';
+
+export default class ActionPlanMonitorPrivacy extends LightningElement {
+    @track email = '';
+    @track result = null; // Counts for the email last searched, or the erasure just made
+    @track isLoading = false;
+    @track error = null;
+
+    // Computed properties
+    get isFindDisabled() {
+        return this.isLoading || !this.email.trim();
+    }
+
+    get hasResult() {
+        return this.result !== null;
+    }
+
+    // Only the address that was searched can be erased, and only when something was found
+    get isEraseDisabled() {
+        return this.isLoading ||
+            !this.hasResult ||
+            this.result.erased ||
+            !this.result.hasData ||
+            this.result.email !== this.email.trim().toLowerCase();
+    }
+
+    get hasSyncedPlans() {
+        return this.hasResult && !this.result.erased && this.result.syncedPlans > 0;
+    }
+
+    // Event handlers
+    handleEmailChange(event) {
+        this.email = event.detail.value || '';
+        this.error = null;
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    async handleFind() {
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            this.result = await findGuestData({ email: this.email.trim() });
+        } catch (error) {
+            this.result = null;
+            this.error = error.body?.message || error.message || 'Unable to search guest data';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async handleErase() {
+        const confirmed = await LightningConfirm.open({
+            message: `Permanently erase all guest data for ${this.result.email}? This cannot be undone.`,
+            label: 'Erase Guest Data',
+            theme: 'error'
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        this.isLoading = true;
+
+        try {
+            this.result = await eraseGuestData({ email: this.result.email });
+            this.showToast('Success', this.result.message, 'success');
+            this.dispatchEvent(new CustomEvent('erase', { detail: { email: this.result.email } }));
+        } catch (error) {
+            this.showToast('Error', error.body?.message || error.message || 'An error occurred', 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
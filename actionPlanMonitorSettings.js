@@ -0,0 +1,115 @@
+/**
+ * actionPlanMonitorSettings.js
+ * Settings panel for the monitor: view and edit the org-wide Action Plan Settings
+ */
+import { LightningElement, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getActionPlanSettings from '@salesforce/apex/ActionPlanMonitorController.getActionPlanSettings';
+import saveActionPlanSettings from '@salesforce/apex/ActionPlanMonitorController.saveActionPlanSettings';
+
+const CAPTCHA_SECRET_FIELD = 'CAPTCHA_Secret_Key__c';
+
+export default class ActionPlanMonitorSettings extends LightningElement {
+    @track values = {};
+    @track captchaSecret = '';
+    @track captchaSecretSet = false;
+    @track canEdit = false;
+    @track isDirty = false;
+    @track isLoading = false;
+    @track error = null;
+
+    savedValues = {};
+
+    connectedCallback() {
+        this.loadSettings();
+    }
+
+    // Computed properties
+    get isReadOnly() {
+        return !this.canEdit;
+    }
+
+    get isSaveDisabled() {
+        return this.isLoading || !this.canEdit || !this.isDirty;
+    }
+
+    get captchaSecretPlaceholder() {
+        return this.captchaSecretSet ? 'Saved - enter a new key to replace it' : 'Not set';
+    }
+
+    // Data loading
+    async loadSettings() {
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            this.applyResult(await getActionPlanSettings());
+        } catch (error) {
+            this.error = error.body?.message || error.message || 'Unable to load settings';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    applyResult(result) {
+        this.savedValues = { ...result.settings };
+        this.values = { ...result.settings };
+        this.captchaSecretSet = result.captchaSecretSet;
+        this.canEdit = result.canEdit;
+        this.captchaSecret = '';
+        this.isDirty = false;
+    }
+
+    // Event handlers
+    handleFieldChange(event) {
+        const field = event.target.dataset.field;
+        const value = event.target.type === 'checkbox' || event.target.type === 'toggle' ?
+            event.target.checked :
+            event.detail.value;
+
+        if (field === CAPTCHA_SECRET_FIELD) {
+            this.captchaSecret = value;
+        } else {
+            this.values = { ...this.values, [field]: value };
+        }
+        this.isDirty = true;
+    }
+
+    handleReset() {
+        this.values = { ...this.savedValues };
+        this.captchaSecret = '';
+        this.isDirty = false;
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    async handleSave() {
+        const inputs = [...this.template.querySelectorAll('lightning-input')];
+        const allValid = inputs.reduce((valid, input) => input.reportValidity() && valid, true);
+        if (!allValid) {
+            this.showToast('Error', 'Fix the highlighted settings before saving', 'error');
+            return;
+        }
+
+        this.isLoading = true;
+
+        try {
+            const result = await saveActionPlanSettings({
+                settingsJson: JSON.stringify({ ...this.values, [CAPTCHA_SECRET_FIELD]: this.captchaSecret })
+            });
+            this.applyResult(result);
+            this.showToast('Success', result.message, 'success');
+            this.dispatchEvent(new CustomEvent('settingschange', { detail: { settings: result.settings } }));
+        } catch (error) {
+            this.showToast('Error', error.body?.message || error.message || 'An error occurred', 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
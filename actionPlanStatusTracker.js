@@ -0,0 +1,347 @@
+/**
+ * actionPlanStatusTracker.js
+ * Public LWC for guest users to track a submitted action plan by reference ID
+ */
+import { LightningElement, wire, track, api } from 'lwc';
+import { CurrentPageReference } from 'lightning/navigation';
+import { refreshApex } from '@salesforce/apex';
+import getActionPlanStatus from '@salesforce/apex/DynamicActionPlanController.getActionPlanStatus';
+import getActionPlanExport from '@salesforce/apex/DynamicActionPlanController.getActionPlanExport';
+import { downloadCalendar, downloadPdf } from 'c/actionPlanExportUtils';
+import { formatDate, formatDateTime, getTodayIsoDate } from 'c/actionPlanLocaleUtils';
+
+// Plan statuses that can still change and therefore keep polling
+const ACTIVE_STATUSES = ['Pending', 'Processing'];
+
+// Task statuses that can no longer become overdue
+const CLOSED_TASK_STATUSES = ['Completed', 'Cancelled'];
+
+export default class ActionPlanStatusTracker extends LightningElement {
+    @api referenceId; // Optional - overrides the ref query parameter
+    @api refreshIntervalSeconds = 30;
+
+    @track activeReferenceId;
+    @track referenceInput = '';
+    @track plan = null;
+    @track isLoading = false;
+    @track error = null;
+    @track lastRefreshTime = null;
+    @track openCommentTaskIds = [];
+    @track openFileTaskIds = [];
+
+    // Set when the tracker is opened from a plan owner or stakeholder link, so the guest can comment
+    accessToken = null;
+    inviteToken = null;
+
+    // Cached wire result for refresh
+    wiredStatusResult;
+
+    // Read the ref query parameter from the Experience Cloud page
+    @wire(CurrentPageReference)
+    setPageReference(pageRef) {
+        const state = pageRef && pageRef.state ? pageRef.state : {};
+        const reference = this.referenceId || state.ref;
+        this.accessToken = state.token || null;
+        this.inviteToken = state.invite || null;
+
+        if (reference && reference !== this.activeReferenceId) {
+            this.activeReferenceId = reference;
+            this.referenceInput = reference;
+            this.isLoading = true;
+        }
+    }
+
+    // Wire adapter for plan status
+    @wire(getActionPlanStatus, { referenceId: '$activeReferenceId' })
+    wiredStatus(result) {
+        this.wiredStatusResult = result;
+
+        if (result.data) {
+            this.plan = result.data;
+            this.error = null;
+            this.lastRefreshTime = new Date();
+            this.isLoading = false;
+            this.updateAutoRefresh();
+        } else if (result.error) {
+            this.plan = null;
+            this.isLoading = false;
+            this.stopAutoRefresh();
+            this.handleError(result.error);
+        }
+    }
+
+    // Computed properties
+    get hasReference() {
+        return !!this.activeReferenceId;
+    }
+
+    get hasPlan() {
+        return this.plan !== null;
+    }
+
+    get isActive() {
+        return this.hasPlan && ACTIVE_STATUSES.includes(this.plan.status);
+    }
+
+    get tasks() {
+        if (!this.hasPlan || !this.plan.tasks) return [];
+
+        const today = getTodayIsoDate();
+        return this.plan.tasks.map((task, index) => {
+            const isOverdue = !!task.dueDate &&
+                !CLOSED_TASK_STATUSES.includes(task.status) &&
+                task.dueDate < today;
+
+            return {
+                ...task,
+                key: `${index}-${task.name}`,
+                commentKey: `${index}-${task.name}-comments`,
+                commentCount: task.commentCount || 0,
+                showComments: this.canComment && this.openCommentTaskIds.includes(task.id),
+                fileKey: `${index}-${task.name}-files`,
+                fileCount: task.fileCount || 0,
+                showFiles: this.canComment && task.acceptsFiles && this.openFileTaskIds.includes(task.id),
+                dueDateFormatted: formatDate(task.dueDate),
+                isOverdue,
+                rowClass: isOverdue ? 'slds-hint-parent overdue-row' : 'slds-hint-parent',
+                statusClass: this.getTaskStatusClass(task.status),
+                priorityClass: this.getPriorityClass(task.priority)
+            };
+        });
+    }
+
+    // Anyone with the reference can see comment and file counts; reading, posting and
+    // uploading needs a link token
+    get canComment() {
+        return !!(this.accessToken || this.inviteToken);
+    }
+
+    get hasTasks() {
+        return this.tasks.length > 0;
+    }
+
+    get hasPhases() {
+        return this.hasPlan && Array.isArray(this.plan.phases) && this.plan.phases.length > 0;
+    }
+
+    // Tasks grouped by phase in plan order, tasks without a phase last
+    get taskGroups() {
+        const tasks = this.tasks;
+        if (!this.hasPhases) {
+            return [{ key: 'all', showHeader: false, tasks }];
+        }
+
+        const phaseNames = this.plan.phases.map(phase => phase.name);
+        const groups = this.plan.phases.map(phase => ({
+            key: `phase-${phase.name}`,
+            showHeader: true,
+            name: phase.name,
+            targetDateFormatted: phase.targetDate ? formatDate(phase.targetDate) : null,
+            tasks: tasks.filter(task => task.phase === phase.name)
+        }));
+        groups.push({
+            key: 'unassigned',
+            showHeader: true,
+            name: 'No Phase',
+            targetDateFormatted: null,
+            tasks: tasks.filter(task => !phaseNames.includes(task.phase))
+        });
+
+        return groups.filter(group => group.tasks.length > 0);
+    }
+
+    get totalTasks() {
+        return this.tasks.length;
+    }
+
+    get completedTasks() {
+        return this.tasks.filter(task => task.status === 'Completed').length;
+    }
+
+    get overdueTasks() {
+        return this.tasks.filter(task => task.isOverdue).length;
+    }
+
+    get hasOverdueTasks() {
+        return this.overdueTasks > 0;
+    }
+
+    get progressPercent() {
+        if (this.totalTasks === 0) return 0;
+        return Math.round((this.completedTasks / this.totalTasks) * 100);
+    }
+
+    get progressBarStyle() {
+        return `width: ${this.progressPercent}%`;
+    }
+
+    get statusClass() {
+        return this.hasPlan ? this.getPlanStatusClass(this.plan.status) : 'slds-badge';
+    }
+
+    get submissionDateFormatted() {
+        return this.hasPlan ? formatDateTime(this.plan.submissionDate) : '';
+    }
+
+    get formattedLastRefresh() {
+        if (!this.lastRefreshTime) return 'Never';
+        return formatDateTime(this.lastRefreshTime);
+    }
+
+    get isTrackDisabled() {
+        return !this.referenceInput || !this.referenceInput.trim();
+    }
+
+    // Lifecycle
+    disconnectedCallback() {
+        this.stopAutoRefresh();
+    }
+
+    // Event handlers
+    handleReferenceInputChange(event) {
+        this.referenceInput = event.target.value;
+    }
+
+    handleTrack() {
+        const reference = this.referenceInput ? this.referenceInput.trim() : '';
+        if (!reference) return;
+
+        this.error = null;
+        if (reference === this.activeReferenceId) {
+            this.handleRefresh();
+        } else {
+            this.plan = null;
+            this.isLoading = true;
+            this.activeReferenceId = reference;
+        }
+    }
+
+    async handleRefresh() {
+        if (!this.wiredStatusResult) return;
+
+        try {
+            await refreshApex(this.wiredStatusResult);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    handleToggleComments(event) {
+        const taskId = event.currentTarget.dataset.taskId;
+        this.openCommentTaskIds = this.openCommentTaskIds.includes(taskId)
+            ? this.openCommentTaskIds.filter(id => id !== taskId)
+            : [...this.openCommentTaskIds, taskId];
+    }
+
+    handleCommentPosted() {
+        this.handleRefresh();
+    }
+
+    handleToggleFiles(event) {
+        const taskId = event.currentTarget.dataset.taskId;
+        this.openFileTaskIds = this.openFileTaskIds.includes(taskId)
+            ? this.openFileTaskIds.filter(id => id !== taskId)
+            : [...this.openFileTaskIds, taskId];
+    }
+
+    handleFileUploaded() {
+        this.handleRefresh();
+    }
+
+    async handleExportPdf() {
+        const plan = await this.loadExportPlan();
+        if (plan) {
+            downloadPdf(plan);
+        }
+    }
+
+    async handleExportCalendar() {
+        const plan = await this.loadExportPlan();
+        if (plan) {
+            downloadCalendar(plan);
+        }
+    }
+
+    // Task owners and descriptions are only served with a plan owner or stakeholder link;
+    // the public tracker exports without them
+    async loadExportPlan() {
+        if (!this.hasPlan || !this.canComment) {
+            return this.plan;
+        }
+
+        try {
+            this.isLoading = true;
+            return await getActionPlanExport({
+                referenceId: this.activeReferenceId,
+                accessToken: this.accessToken,
+                inviteToken: this.inviteToken
+            });
+        } catch (error) {
+            this.handleError(error);
+            return null;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // Auto-refresh while the plan is still being processed
+    updateAutoRefresh() {
+        if (this.isActive) {
+            this.startAutoRefresh();
+        } else {
+            this.stopAutoRefresh();
+        }
+    }
+
+    startAutoRefresh() {
+        if (this.refreshInterval) return;
+
+        const seconds = Number(this.refreshIntervalSeconds) || 30;
+        this.refreshInterval = setInterval(() => {
+            this.handleRefresh();
+        }, seconds * 1000);
+    }
+
+    stopAutoRefresh() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+    }
+
+    // Utility methods
+    getPlanStatusClass(status) {
+        const statusClasses = {
+            'Pending': 'slds-badge',
+            'Processing': 'slds-badge slds-theme_warning',
+            'Synced': 'slds-badge slds-theme_success',
+            'Completed': 'slds-badge slds-theme_success',
+            'Failed': 'slds-badge slds-theme_error'
+        };
+        return statusClasses[status] || 'slds-badge';
+    }
+
+    getTaskStatusClass(status) {
+        const statusClasses = {
+            'Not Started': 'slds-badge',
+            'In Progress': 'slds-badge slds-theme_warning',
+            'Completed': 'slds-badge slds-theme_success',
+            'Cancelled': 'slds-badge slds-badge_lightest'
+        };
+        return statusClasses[status] || 'slds-badge';
+    }
+
+    getPriorityClass(priority) {
+        const priorityClasses = {
+            'High': 'slds-text-color_error',
+            'Medium': 'slds-text-color_default',
+            'Low': 'slds-text-color_weak'
+        };
+        return priorityClasses[priority] || 'slds-text-color_default';
+    }
+
+    handleError(error) {
+        console.error('Error:', error);
+        this.error = error.body?.message || error.message || 'Unable to load action plan status';
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * actionPlanTaskComments.js
+ * Comment thread on a guest task. Internal users see it on the task record or the synced native
+ * task (recordId); guests see it in the builder edit view or the tracker, using the access token
+ * of the plan owner or the invite token of a stakeholder.
+ */
+import { LightningElement, api, track } from 'lwc';
+import getGuestComments from '@salesforce/apex/DynamicActionPlanController.getTaskComments';
+import postGuestComment from '@salesforce/apex/DynamicActionPlanController.postTaskComment';
+import getInternalComments from '@salesforce/apex/ActionPlanMonitorController.getTaskComments';
+import postInternalComment from '@salesforce/apex/ActionPlanMonitorController.postTaskComment';
+import { formatDateTime } from 'c/actionPlanLocaleUtils';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Comments are stored HTML-escaped; the template escapes again when it renders them
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'"
+};
+
+export default class ActionPlanTaskComments extends LightningElement {
+    @api recordId; // Internal mode: Custom_Task__c or ActionPlanTask record
+    @api referenceId; // Guest mode
+    @api taskId;
+    @api accessToken;
+    @api inviteToken;
+
+    @track comments = [];
+    @track mentionable = [];
+    @track body = '';
+    @track isLoading = false;
+    @track error = null;
+
+    connectedCallback() {
+        this.loadComments();
+    }
+
+    // Computed properties
+    get isGuest() {
+        return !this.recordId;
+    }
+
+    get hasComments() {
+        return this.comments.length > 0;
+    }
+
+    get displayComments() {
+        return this.comments.map(comment => ({
+            ...comment,
+            body: this.decode(comment.body),
+            postedDateFormatted: formatDateTime(comment.postedDate),
+            authorLabel: comment.authorType === 'Internal' ? `${comment.authorName} (Team)` : comment.authorName
+        }));
+    }
+
+    get maxLength() {
+        return MAX_COMMENT_LENGTH;
+    }
+
+    get isPostDisabled() {
+        return this.isLoading || !this.body.trim();
+    }
+
+    // Stakeholders whose name starts with the @word being typed at the end of the comment
+    get mentionSuggestions() {
+        const match = /@([^@\n]*)$/.exec(this.body);
+        if (!match) return [];
+
+        const typed = match[1].toLowerCase();
+        return this.mentionable
+            .filter(person => person.name.toLowerCase().startsWith(typed) && person.name.toLowerCase() !== typed)
+            .map(person => ({
+                ...person,
+                label: person.role ? `${person.name} (${person.role})` : person.name
+            }));
+    }
+
+    get hasMentionSuggestions() {
+        return this.mentionSuggestions.length > 0;
+    }
+
+    // Event handlers
+    handleBodyChange(event) {
+        this.body = event.target.value || '';
+        this.error = null;
+    }
+
+    handleMention(event) {
+        const name = event.currentTarget.dataset.name;
+        this.body = this.body.replace(/@([^@\n]*)$/, `@${name} `);
+    }
+
+    async handlePost() {
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            const result = this.isGuest
+                ? await postGuestComment({
+                    referenceId: this.referenceId,
+                    accessToken: this.accessToken,
+                    inviteToken: this.inviteToken,
+                    taskId: this.taskId,
+                    body: this.body
+                })
+                : await postInternalComment({ recordId: this.recordId, body: this.body });
+
+            this.applyResult(result);
+            this.body = '';
+            this.dispatchEvent(new CustomEvent('commentposted', {
+                detail: { taskId: result.taskId, commentCount: result.comments.length }
+            }));
+        } catch (error) {
+            this.error = error.body?.message || error.message || 'Unable to post your comment';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async loadComments() {
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            const result = this.isGuest
+                ? await getGuestComments({
+                    referenceId: this.referenceId,
+                    accessToken: this.accessToken,
+                    inviteToken: this.inviteToken,
+                    taskId: this.taskId
+                })
+                : await getInternalComments({ recordId: this.recordId });
+
+            this.applyResult(result);
+        } catch (error) {
+            this.error = error.body?.message || error.message || 'Unable to load comments';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    applyResult(result) {
+        this.comments = result.comments || [];
+        this.mentionable = result.mentionable || [];
+    }
+
+    // Utility methods
+    decode(text) {
+        if (!text) return '';
+        return text.replace(/&(amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity]);
+    }
+}
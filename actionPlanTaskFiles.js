@@ -0,0 +1,112 @@
+/**
+ * actionPlanTaskFiles.js
+ * Files on a Documentation or Approval task, for the plan owner (access token) or a stakeholder
+ * (invite token) after submission. Guests see names and sizes and can add files; the team opens
+ * them from the Files related list on the task.
+ */
+import { LightningElement, api, track } from 'lwc';
+import getTaskFiles from '@salesforce/apex/DynamicActionPlanController.getTaskFiles';
+import uploadTaskFile from '@salesforce/apex/DynamicActionPlanController.uploadTaskFile';
+import { formatFileSize, readFileAsBase64, validateFile } from 'c/actionPlanFileUtils';
+
+export default class ActionPlanTaskFiles extends LightningElement {
+    @api referenceId;
+    @api taskId;
+    @api accessToken;
+    @api inviteToken;
+
+    @track files = [];
+    @track limits = null;
+    @track isLoading = false;
+    @track error = null;
+
+    connectedCallback() {
+        this.loadFiles();
+    }
+
+    // Computed properties
+    get hasFiles() {
+        return this.files.length > 0;
+    }
+
+    get displayFiles() {
+        return this.files.map(file => ({
+            ...file,
+            name: file.fileExtension ? `${file.title}.${file.fileExtension}` : file.title,
+            sizeFormatted: formatFileSize(file.size)
+        }));
+    }
+
+    get canAddFiles() {
+        return !!this.limits && this.limits.fileUploadsEnabled && this.files.length < this.limits.maxFilesPerTask;
+    }
+
+    get acceptedTypes() {
+        return this.limits ? this.limits.allowedFileExtensions.map(extension => `.${extension}`).join(',') : '';
+    }
+
+    get limitsText() {
+        if (!this.limits) return '';
+        return `Up to ${this.limits.maxFilesPerTask} files of ${formatFileSize(this.limits.maxFileSizeBytes)} each`;
+    }
+
+    // Event handlers
+    async handleFileChange(event) {
+        const selected = Array.from(event.target.files || []);
+        event.target.value = null;
+
+        for (const file of selected) {
+            const problem = validateFile(file, this.limits, this.files.length);
+            if (problem) {
+                this.error = problem;
+                return;
+            }
+
+            this.isLoading = true;
+            this.error = null;
+            try {
+                const base64Data = await readFileAsBase64(file);
+                const result = await uploadTaskFile({
+                    referenceId: this.referenceId,
+                    accessToken: this.accessToken,
+                    inviteToken: this.inviteToken,
+                    taskId: this.taskId,
+                    fileName: file.name,
+                    base64Data
+                });
+                this.applyResult(result);
+                this.dispatchEvent(new CustomEvent('fileuploaded', {
+                    detail: { taskId: this.taskId, fileCount: this.files.length }
+                }));
+            } catch (error) {
+                this.error = error.body?.message || error.message || `Unable to upload ${file.name}`;
+                return;
+            } finally {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    async loadFiles() {
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            this.applyResult(await getTaskFiles({
+                referenceId: this.referenceId,
+                accessToken: this.accessToken,
+                inviteToken: this.inviteToken,
+                taskId: this.taskId
+            }));
+        } catch (error) {
+            this.error = error.body?.message || error.message || 'Unable to load files';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    applyResult(result) {
+        this.files = result.files || [];
+        this.limits = result;
+    }
+}
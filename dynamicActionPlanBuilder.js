@@ -2,31 +2,353 @@
  * dynamicActionPlanBuilder.js
  * Main LWC component for guest user action plan creation
  */
-import { LightningElement, track, api } from 'lwc';
+import { LightningElement, track, api, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { CurrentPageReference } from 'lightning/navigation';
 import getTaskTemplates from '@salesforce/apex/DynamicActionPlanController.getTaskTemplates';
+import getPlaybooks from '@salesforce/apex/DynamicActionPlanController.getPlaybooks';
 import saveActionPlan from '@salesforce/apex/DynamicActionPlanController.saveActionPlan';
-import getActionPlanStatus from '@salesforce/apex/DynamicActionPlanController.getActionPlanStatus';
+import getActionPlanExport from '@salesforce/apex/DynamicActionPlanController.getActionPlanExport';
+import getActionPlanForEdit from '@salesforce/apex/DynamicActionPlanController.getActionPlanForEdit';
+import updateTaskStatuses from '@salesforce/apex/DynamicActionPlanController.updateTaskStatuses';
+import getStakeholderTasks from '@salesforce/apex/DynamicActionPlanController.getStakeholderTasks';
+import updateStakeholderTaskStatuses from '@salesforce/apex/DynamicActionPlanController.updateStakeholderTaskStatuses';
+import resendStakeholderInvitation from '@salesforce/apex/DynamicActionPlanController.resendStakeholderInvitation';
+import revokeStakeholder from '@salesforce/apex/DynamicActionPlanController.revokeStakeholder';
+import saveDraft from '@salesforce/apex/DynamicActionPlanController.saveDraft';
+import getDraft from '@salesforce/apex/DynamicActionPlanController.getDraft';
+import getBuilderSettings from '@salesforce/apex/DynamicActionPlanController.getBuilderSettings';
+import getSubmissionToken from '@salesforce/apex/DynamicActionPlanController.getSubmissionToken';
+import uploadTaskFile from '@salesforce/apex/DynamicActionPlanController.uploadTaskFile';
+import { downloadCalendar, downloadPdf } from 'c/actionPlanExportUtils';
+import { formatFileSize, readFileAsBase64, validateFile } from 'c/actionPlanFileUtils';
+import {
+    buildLanguageUrl,
+    formatDate,
+    formatDateTime,
+    formatLabel,
+    formatTime,
+    formatTimestampDate,
+    getLanguageOptions,
+    getTodayIsoDate
+} from 'c/actionPlanLocaleUtils';
+import IS_GUEST from '@salesforce/user/isGuest';
+
+// Import custom labels
+import TITLE from '@salesforce/label/c.Action_Plan_Builder_Title';
+import STEP_1_YOUR_INFORMATION from '@salesforce/label/c.Step_1_Your_Information';
+import STEP_2_ADD_TASKS from '@salesforce/label/c.Step_2_Add_Tasks';
+import STEP_3_REVIEW from '@salesforce/label/c.Step_3_Review';
+import STEP_4_COMPLETE from '@salesforce/label/c.Step_4_Complete';
+import ADD_CUSTOM_TASK from '@salesforce/label/c.Add_Custom_Task';
+import ADD_TEMPLATE from '@salesforce/label/c.Add_Template';
+import NEXT from '@salesforce/label/c.Next';
+import PREVIOUS from '@salesforce/label/c.Previous';
+import SUBMIT_ACTION_PLAN from '@salesforce/label/c.Submit_Action_Plan';
+import CREATE_ANOTHER from '@salesforce/label/c.Create_Another';
+import SUCCESS_TITLE from '@salesforce/label/c.Success_Title';
+import SUCCESS_MESSAGE from '@salesforce/label/c.Success_Message';
+import REFERENCE_NUMBER from '@salesforce/label/c.Reference_Number';
+import ERROR_INVALID_EMAIL from '@salesforce/label/c.Error_Invalid_Email';
+import ERROR_NAME_REQUIRED from '@salesforce/label/c.Error_Name_Required';
+import ERROR_TASK_REQUIRED from '@salesforce/label/c.Error_Task_Required';
+import STATUS_PENDING from '@salesforce/label/c.Status_Pending';
+import STATUS_PROCESSING from '@salesforce/label/c.Status_Processing';
+import STATUS_SYNCED from '@salesforce/label/c.Status_Synced';
+import STATUS_FAILED from '@salesforce/label/c.Status_Failed';
+import TOAST_SUCCESS from '@salesforce/label/c.Builder_Toast_Success';
+import TOAST_ERROR from '@salesforce/label/c.Builder_Toast_Error';
+import TOAST_WARNING from '@salesforce/label/c.Builder_Toast_Warning';
+import UNEXPECTED_ERROR from '@salesforce/label/c.Builder_Unexpected_Error';
+import LOADING from '@salesforce/label/c.Builder_Loading';
+import LANGUAGE from '@salesforce/label/c.Builder_Language';
+import PRIORITY_HIGH from '@salesforce/label/c.Builder_Priority_High';
+import PRIORITY_MEDIUM from '@salesforce/label/c.Builder_Priority_Medium';
+import PRIORITY_LOW from '@salesforce/label/c.Builder_Priority_Low';
+import CATEGORY_FOLLOW_UP from '@salesforce/label/c.Builder_Category_Follow_Up';
+import CATEGORY_DOCUMENTATION from '@salesforce/label/c.Builder_Category_Documentation';
+import CATEGORY_REVIEW from '@salesforce/label/c.Builder_Category_Review';
+import CATEGORY_APPROVAL from '@salesforce/label/c.Builder_Category_Approval';
+import CATEGORY_OTHER from '@salesforce/label/c.Builder_Category_Other';
+import TASK_STATUS_NOT_STARTED from '@salesforce/label/c.Builder_Task_Status_Not_Started';
+import TASK_STATUS_IN_PROGRESS from '@salesforce/label/c.Builder_Task_Status_In_Progress';
+import TASK_STATUS_COMPLETED from '@salesforce/label/c.Builder_Task_Status_Completed';
+import TASK_STATUS_CANCELLED from '@salesforce/label/c.Builder_Task_Status_Cancelled';
+import LINK_STATUS_ACTIVE from '@salesforce/label/c.Builder_Link_Status_Active';
+import LINK_STATUS_EXPIRED from '@salesforce/label/c.Builder_Link_Status_Expired';
+import LINK_STATUS_REVOKED from '@salesforce/label/c.Builder_Link_Status_Revoked';
+import LINK_STATUS_NOT_INVITED from '@salesforce/label/c.Builder_Link_Status_Not_Invited';
+import TASK_NAME from '@salesforce/label/c.Builder_Task_Name';
+import DESCRIPTION from '@salesforce/label/c.Builder_Description';
+import DUE_DATE from '@salesforce/label/c.Builder_Due_Date';
+import PRIORITY from '@salesforce/label/c.Builder_Priority';
+import CATEGORY from '@salesforce/label/c.Builder_Category';
+import ASSIGNED_TO_EMAIL from '@salesforce/label/c.Builder_Assigned_To_Email';
+import ASSIGNEE_PLACEHOLDER from '@salesforce/label/c.Builder_Assignee_Placeholder';
+import DAYS_AFTER_START from '@salesforce/label/c.Builder_Days_After_Start';
+import REQUIRED from '@salesforce/label/c.Builder_Required';
+import REQUIRED_TASK from '@salesforce/label/c.Builder_Required_Task';
+import REMINDER_DAYS_BEFORE from '@salesforce/label/c.Builder_Reminder_Days_Before';
+import PHASE from '@salesforce/label/c.Builder_Phase';
+import STARTS_AFTER from '@salesforce/label/c.Builder_Starts_After';
+import ADD_DEPENDENCY from '@salesforce/label/c.Builder_Add_Dependency';
+import REMOVE_DEPENDENCY from '@salesforce/label/c.Builder_Remove_Dependency';
+import FILES from '@salesforce/label/c.Builder_Files';
+import REMOVE_FILE from '@salesforce/label/c.Builder_Remove_File';
+import FILE_LIMITS from '@salesforce/label/c.Builder_File_Limits';
+import RESUME_BANNER from '@salesforce/label/c.Builder_Resume_Banner';
+import PREVIOUS_VISIT from '@salesforce/label/c.Builder_Previous_Visit';
+import RESUME_DRAFT from '@salesforce/label/c.Builder_Resume_Draft';
+import START_FRESH from '@salesforce/label/c.Builder_Start_Fresh';
+import DRAFT_SAVED from '@salesforce/label/c.Builder_Draft_Saved';
+import DRAFT_RESTORED from '@salesforce/label/c.Builder_Draft_Restored';
+import EMAIL_RESUME_LINK from '@salesforce/label/c.Builder_Email_Resume_Link';
+import RESUME_LINK_SENT from '@salesforce/label/c.Builder_Resume_Link_Sent';
+import CONTACT_INTRO from '@salesforce/label/c.Builder_Contact_Intro';
+import REQUIRED_FIELD from '@salesforce/label/c.Builder_Required_Field';
+import EMAIL_ADDRESS from '@salesforce/label/c.Builder_Email_Address';
+import EMAIL_PLACEHOLDER from '@salesforce/label/c.Builder_Email_Placeholder';
+import FULL_NAME from '@salesforce/label/c.Builder_Full_Name';
+import NAME_PLACEHOLDER from '@salesforce/label/c.Builder_Name_Placeholder';
+import STAKEHOLDERS from '@salesforce/label/c.Builder_Stakeholders';
+import STAKEHOLDERS_HELP from '@salesforce/label/c.Builder_Stakeholders_Help';
+import NAME from '@salesforce/label/c.Builder_Name';
+import ROLE from '@salesforce/label/c.Builder_Role';
+import ROLE_PLACEHOLDER from '@salesforce/label/c.Builder_Role_Placeholder';
+import EMAIL from '@salesforce/label/c.Builder_Email';
+import REMOVE from '@salesforce/label/c.Builder_Remove';
+import ADD_STAKEHOLDER from '@salesforce/label/c.Builder_Add_Stakeholder';
+import MAX_STAKEHOLDERS from '@salesforce/label/c.Builder_Max_Stakeholders';
+import INVALID_STAKEHOLDERS from '@salesforce/label/c.Builder_Invalid_Stakeholders';
+import PLAYBOOKS from '@salesforce/label/c.Builder_Playbooks';
+import PLAYBOOKS_HELP from '@salesforce/label/c.Builder_Playbooks_Help';
+import PLAYBOOKS_UNAVAILABLE from '@salesforce/label/c.Builder_Playbooks_Unavailable';
+import TASK_COUNT from '@salesforce/label/c.Builder_Task_Count';
+import PREVIEW from '@salesforce/label/c.Builder_Preview';
+import ORDER from '@salesforce/label/c.Builder_Order';
+import TASK from '@salesforce/label/c.Builder_Task';
+import DAY_NUMBER from '@salesforce/label/c.Builder_Day_Number';
+import ADD_TASKS from '@salesforce/label/c.Builder_Add_Tasks';
+import CANCEL from '@salesforce/label/c.Builder_Cancel';
+import PLAYBOOK_TOO_LARGE from '@salesforce/label/c.Builder_Playbook_Too_Large';
+import PLAYBOOK_ADDED from '@salesforce/label/c.Builder_Playbook_Added';
+import QUICK_ADD_TEMPLATES from '@salesforce/label/c.Builder_Quick_Add_Templates';
+import TEMPLATES_UNAVAILABLE from '@salesforce/label/c.Builder_Templates_Unavailable';
+import TEMPLATE_ADDED from '@salesforce/label/c.Builder_Template_Added';
+import PLAN_START_DATE from '@salesforce/label/c.Builder_Plan_Start_Date';
+import PLAN_START_DATE_HELP from '@salesforce/label/c.Builder_Plan_Start_Date_Help';
+import PHASES from '@salesforce/label/c.Builder_Phases';
+import PHASES_HELP from '@salesforce/label/c.Builder_Phases_Help';
+import PHASE_NAME from '@salesforce/label/c.Builder_Phase_Name';
+import TARGET_DATE from '@salesforce/label/c.Builder_Target_Date';
+import NEW_PHASE from '@salesforce/label/c.Builder_New_Phase';
+import PHASE_PLACEHOLDER from '@salesforce/label/c.Builder_Phase_Placeholder';
+import ADD_PHASE from '@salesforce/label/c.Builder_Add_Phase';
+import USE_STANDARD_PHASES from '@salesforce/label/c.Builder_Use_Standard_Phases';
+import STANDARD_PHASES from '@salesforce/label/c.Builder_Standard_Phases';
+import MAX_PHASES from '@salesforce/label/c.Builder_Max_Phases';
+import DUPLICATE_PHASE from '@salesforce/label/c.Builder_Duplicate_Phase';
+import PHASE_NAME_REQUIRED from '@salesforce/label/c.Builder_Phase_Name_Required';
+import NO_PHASE from '@salesforce/label/c.Builder_No_Phase';
+import UNTITLED_PHASE from '@salesforce/label/c.Builder_Untitled_Phase';
+import COLLAPSE from '@salesforce/label/c.Builder_Collapse';
+import EXPAND from '@salesforce/label/c.Builder_Expand';
+import TARGET_ON from '@salesforce/label/c.Builder_Target_On';
+import LAST_DUE_ON from '@salesforce/label/c.Builder_Last_Due_On';
+import AT_RISK from '@salesforce/label/c.Builder_At_Risk';
+import IMPORT_FROM_SPREADSHEET from '@salesforce/label/c.Builder_Import_From_Spreadsheet';
+import TASKS_ADDED from '@salesforce/label/c.Builder_Tasks_Added';
+import IMPORT_TASKS from '@salesforce/label/c.Builder_Import_Tasks';
+import IMPORT_HELP from '@salesforce/label/c.Builder_Import_Help';
+import CSV_FILE from '@salesforce/label/c.Builder_CSV_File';
+import PASTE_ROWS from '@salesforce/label/c.Builder_Paste_Rows';
+import PASTE_ROWS_PLACEHOLDER from '@salesforce/label/c.Builder_Paste_Rows_Placeholder';
+import FIRST_ROW_HEADERS from '@salesforce/label/c.Builder_First_Row_Headers';
+import IGNORE_COLUMN from '@salesforce/label/c.Builder_Ignore_Column';
+import COLUMN_NUMBER from '@salesforce/label/c.Builder_Column_Number';
+import ROW from '@salesforce/label/c.Builder_Row';
+import ASSIGNED_TO from '@salesforce/label/c.Builder_Assigned_To';
+import PROBLEMS from '@salesforce/label/c.Builder_Problems';
+import IMPORT_ROWS_FOUND from '@salesforce/label/c.Builder_Import_Rows_Found';
+import IMPORT_ROWS_SKIPPED from '@salesforce/label/c.Builder_Import_Rows_Skipped';
+import IMPORT_LIMIT from '@salesforce/label/c.Builder_Import_Limit';
+import IMPORT_BUTTON from '@salesforce/label/c.Builder_Import_Button';
+import IMPORT_TOO_LARGE from '@salesforce/label/c.Builder_Import_Too_Large';
+import IMPORT_FILE_TOO_LARGE from '@salesforce/label/c.Builder_Import_File_Too_Large';
+import IMPORT_FILE_UNREADABLE from '@salesforce/label/c.Builder_Import_File_Unreadable';
+import TASKS_IMPORTED from '@salesforce/label/c.Builder_Tasks_Imported';
+import TASKS_IMPORTED_SKIPPED from '@salesforce/label/c.Builder_Tasks_Imported_Skipped';
+import IMPORT_NAME_REQUIRED from '@salesforce/label/c.Builder_Import_Name_Required';
+import IMPORT_NAME_TOO_LONG from '@salesforce/label/c.Builder_Import_Name_Too_Long';
+import IMPORT_UNKNOWN_PRIORITY from '@salesforce/label/c.Builder_Import_Unknown_Priority';
+import IMPORT_UNKNOWN_CATEGORY from '@salesforce/label/c.Builder_Import_Unknown_Category';
+import IMPORT_INVALID_EMAIL from '@salesforce/label/c.Builder_Import_Invalid_Email';
+import IMPORT_INVALID_REQUIRED from '@salesforce/label/c.Builder_Import_Invalid_Required';
+import IMPORT_INVALID_REMINDER from '@salesforce/label/c.Builder_Import_Invalid_Reminder';
+import IMPORT_INVALID_DAYS from '@salesforce/label/c.Builder_Import_Invalid_Days';
+import IMPORT_INVALID_DATE from '@salesforce/label/c.Builder_Import_Invalid_Date';
+import IMPORT_DATE_BEFORE_START from '@salesforce/label/c.Builder_Import_Date_Before_Start';
+import IMPORT_DATE_MISMATCH from '@salesforce/label/c.Builder_Import_Date_Mismatch';
+import YOUR_TASKS from '@salesforce/label/c.Builder_Your_Tasks';
+import DROP_ON_PAGE from '@salesforce/label/c.Builder_Drop_On_Page';
+import DRAG_HANDLE_TITLE from '@salesforce/label/c.Builder_Drag_Handle_Title';
+import DRAG_HANDLE_ASSISTIVE from '@salesforce/label/c.Builder_Drag_Handle_Assistive';
+import TASK_NUMBER from '@salesforce/label/c.Builder_Task_Number';
+import DAYS_FROM_START from '@salesforce/label/c.Builder_Days_From_Start';
+import UNTITLED_TASK from '@salesforce/label/c.Builder_Untitled_Task';
+import DEPENDENCY_CYCLE from '@salesforce/label/c.Builder_Dependency_Cycle';
+import CIRCULAR_DEPENDENCIES from '@salesforce/label/c.Builder_Circular_Dependencies';
+import MOVE_UP from '@salesforce/label/c.Builder_Move_Up';
+import MOVE_DOWN from '@salesforce/label/c.Builder_Move_Down';
+import DUPLICATE from '@salesforce/label/c.Builder_Duplicate';
+import TASK_COPY_NAME from '@salesforce/label/c.Builder_Task_Copy_Name';
+import TASK_DUPLICATED from '@salesforce/label/c.Builder_Task_Duplicated';
+import PAGE_OF from '@salesforce/label/c.Builder_Page_Of';
+import NO_TASKS from '@salesforce/label/c.Builder_No_Tasks';
+import TASKS_INCOMPLETE from '@salesforce/label/c.Builder_Tasks_Incomplete';
+import REVIEW_HEADING from '@salesforce/label/c.Builder_Review_Heading';
+import STAKEHOLDERS_REVIEW_HELP from '@salesforce/label/c.Builder_Stakeholders_Review_Help';
+import TASKS from '@salesforce/label/c.Builder_Tasks';
+import DUE_ON from '@salesforce/label/c.Builder_Due_On';
+import FILE_COUNT from '@salesforce/label/c.Builder_File_Count';
+import AFTER_TASKS from '@salesforce/label/c.Builder_After_Tasks';
+import READY_TO_SUBMIT from '@salesforce/label/c.Builder_Ready_To_Submit';
+import READY_TO_SUBMIT_HELP from '@salesforce/label/c.Builder_Ready_To_Submit_Help';
+import CAPTCHA_HELP from '@salesforce/label/c.Builder_Captcha_Help';
+import FILES_NOT_UPLOADED from '@salesforce/label/c.Builder_Files_Not_Uploaded';
+import YOUR_REFERENCE_NUMBER from '@salesforce/label/c.Builder_Your_Reference_Number';
+import SAVE_REFERENCE_NUMBER from '@salesforce/label/c.Builder_Save_Reference_Number';
+import TRACK_PLAN from '@salesforce/label/c.Builder_Track_Plan';
+import DOWNLOAD_PDF from '@salesforce/label/c.Builder_Download_PDF';
+import ADD_TO_CALENDAR from '@salesforce/label/c.Builder_Add_To_Calendar';
+import PRIVATE_LINK_HELP from '@salesforce/label/c.Builder_Private_Link_Help';
+import MANAGE_PLAN from '@salesforce/label/c.Builder_Manage_Plan';
+import SHARED_BY from '@salesforce/label/c.Builder_Shared_By';
+import YOU from '@salesforce/label/c.Builder_You';
+import STATUS from '@salesforce/label/c.Builder_Status';
+import PROGRESS from '@salesforce/label/c.Builder_Progress';
+import PROGRESS_TEXT from '@salesforce/label/c.Builder_Progress_Text';
+import COMMENTS_COUNT from '@salesforce/label/c.Builder_Comments_Count';
+import FILES_COUNT from '@salesforce/label/c.Builder_Files_Count';
+import NO_ASSIGNED_TASKS from '@salesforce/label/c.Builder_No_Assigned_Tasks';
+import STAKEHOLDER_LINK from '@salesforce/label/c.Builder_Stakeholder_Link';
+import STAKEHOLDER_LINK_UNTIL from '@salesforce/label/c.Builder_Stakeholder_Link_Until';
+import SEND_NEW_LINK from '@salesforce/label/c.Builder_Send_New_Link';
+import REVOKE_LINK from '@salesforce/label/c.Builder_Revoke_Link';
+import VIEW_TRACKING_PAGE from '@salesforce/label/c.Builder_View_Tracking_Page';
+import SAVE_CHANGES from '@salesforce/label/c.Builder_Save_Changes';
+import TASKS_UPDATED from '@salesforce/label/c.Builder_Tasks_Updated';
+import NEW_LINK_SENT from '@salesforce/label/c.Builder_New_Link_Sent';
+import INVITATION_NOT_SENT from '@salesforce/label/c.Builder_Invitation_Not_Sent';
+import LINK_REVOKED from '@salesforce/label/c.Builder_Link_Revoked';
+
+const DRAFT_STORAGE_KEY = 'dynamicActionPlanBuilder.draft';
+const LANGUAGE_RESUME_KEY = 'dynamicActionPlanBuilder.resumeAfterLanguageChange';
+const DRAFT_SAVE_DELAY_MS = 2000;
+const MAX_IMPORT_FILE_SIZE = 262144; // 256 KB
+// The largest values the task fields hold, checked again on the server
+const MAX_DAYS_AFTER_START = 999;
+const MAX_REMINDER_DAYS_BEFORE = 99;
+
+// Document events shared with the reCAPTCHA script in the site's head markup
+const CAPTCHA_RENDER_EVENT = 'grecaptchaRender';
+const CAPTCHA_RESET_EVENT = 'grecaptchaReset';
+const CAPTCHA_VERIFIED_EVENT = 'grecaptchaVerified';
+const CAPTCHA_EXPIRED_EVENT = 'grecaptchaExpired';
+
+// Task fields a spreadsheet column can be mapped to, with the header names recognized for each
+const IMPORT_FIELDS = [
+    { value: 'name', label: TASK_NAME, aliases: ['name', 'task', 'taskname', 'title', 'subject'] },
+    { value: 'description', label: DESCRIPTION, aliases: ['description', 'details', 'notes'] },
+    { value: 'dueDate', label: DUE_DATE, aliases: ['duedate', 'due', 'date', 'deadline'] },
+    { value: 'priority', label: PRIORITY, aliases: ['priority'] },
+    { value: 'category', label: CATEGORY, aliases: ['category', 'type'] },
+    { value: 'assignedToEmail', label: ASSIGNED_TO_EMAIL, aliases: ['assignedtoemail', 'assignedto', 'assignee', 'email', 'owner'] },
+    { value: 'daysAfterStart', label: DAYS_AFTER_START, aliases: ['daysafterstart', 'days', 'duration', 'offset'] },
+    { value: 'isRequired', label: REQUIRED, aliases: ['isrequired', 'required'] },
+    { value: 'reminderDaysBefore', label: REMINDER_DAYS_BEFORE, aliases: ['reminderdaysbefore', 'reminder', 'reminderdays'] }
+];
 
 export default class DynamicActionPlanBuilder extends LightningElement {
     @api recordId; // Optional - for authenticated context
     @api referenceId; // For tracking in unauthenticated context
     @api relatedObjectType = 'Lead'; // Default to Lead for guest users
+    @api saveDraftsToServer = false; // Also keep drafts as Draft plans so they can be resumed from an emailed link
+    @api languages = ''; // Site languages guests can switch between, comma separated (e.g. en_US,de,fr,ja)
     
     @track tasks = [];
     @track taskTemplates = [];
+    @track playbooks = [];
+    @track selectedPlaybookId = null; // Playbook shown in the preview before its tasks are added
     @track isLoading = false;
     @track currentStep = 1; // 1: Info, 2: Tasks, 3: Review, 4: Complete
     @track userInfo = {
         email: '',
         name: ''
     };
+    @track planStartDate = null; // YYYY-MM-DD, due dates are scheduled from this date
+    @track phases = []; // Named milestones such as Discovery, Legal, Close
+    @track newPhase = { name: '', targetDate: '' };
+    @track stakeholders = []; // People at the buyer who get a personal link to their own tasks
+    @track pendingFiles = {}; // Files picked for each task (by tempId), uploaded once the plan is saved
     @track completedReferenceId = null;
+    @track completedEditUrl = null;
+    completedAccessToken = null; // Lets the confirmation step export owners and descriptions
     @track error = null;
     
+    // Edit mode - an existing plan opened with its ref and token link, or a stakeholder's invite link
+    @track isEditMode = false;
+    @track isStakeholderView = false;
+    @track editPlan = null;
+    @track editTasks = [];
+    @track editStakeholders = [];
+    editReferenceId = null;
+    accessToken = null;
+    inviteToken = null;
+    
+    // Drafts - autosaved to browser storage and optionally to the server
+    @track resumableDraft = null;
+    @track draftSavedAt = null;
+    draftToken = null;
+    resumeReferenceId = null;
+    lastDraftSnapshot = null;
+    draftSaveTimeout;
+    
+    // CAPTCHA - shown on the review step when Action_Plan_Settings__c requires it
+    @track captchaRequired = false;
+    @track captchaToken = null;
+    captchaSiteKey = null;
+    captchaContainer = null;
+    
+    // CSRF - the server signs a token for this page session, and saveActionPlan checks it
+    sessionId = null;
+    csrfToken = null;
+    
+    // Bulk import - tasks pasted or uploaded from a spreadsheet
+    @track isImportOpen = false;
+    @track importText = '';
+    @track importRecords = []; // Parsed cells for every row, header row included
+    @track importColumns = []; // { index, header, field } - field is '' when the column is ignored
+    @track importHasHeader = true;
+    
     // Pagination
     @track currentPage = 1;
     tasksPerPage = 5;
+    maxTasks = 20; // Replaced by Max_Tasks_Per_Plan__c from getBuilderSettings
+    
+    // Reordering
+    @track draggedTaskId = null;
+    focusTaskId = null;
+    
+    // Phases
+    maxPhases = 10;
+    defaultPhaseNames = STANDARD_PHASES.split(',').map(name => name.trim()).filter(name => name);
+    
+    // Stakeholders
+    maxStakeholders = 10; // Replaced by maxStakeholdersPerPlan from getBuilderSettings
+    
+    // Files - limits come from getBuilderSettings; uploads stay off until they load
+    fileLimits = null;
     
     // Task template
     taskPrototype = {
@@ -37,46 +359,280 @@ export default class DynamicActionPlanBuilder extends LightningElement {
         priority: 'Medium',
         category: 'Follow-up',
         assignedToEmail: '',
-        daysAfterStart: 1,
+        daysAfterStart: null,
         isRequired: true,
-        reminderDaysBefore: 1
+        reminderDaysBefore: 1,
+        dependsOn: [],
+        phaseId: ''
+    };
+    
+    // Labels
+    label = {
+        title: TITLE,
+        stepInformation: STEP_1_YOUR_INFORMATION,
+        stepTasks: STEP_2_ADD_TASKS,
+        stepReview: STEP_3_REVIEW,
+        stepComplete: STEP_4_COMPLETE,
+        addCustomTask: ADD_CUSTOM_TASK,
+        addTemplate: ADD_TEMPLATE,
+        next: NEXT,
+        previous: PREVIOUS,
+        submit: SUBMIT_ACTION_PLAN,
+        createAnother: CREATE_ANOTHER,
+        successTitle: SUCCESS_TITLE,
+        successMessage: SUCCESS_MESSAGE,
+        referenceNumber: REFERENCE_NUMBER,
+        invalidEmail: ERROR_INVALID_EMAIL,
+        nameRequired: ERROR_NAME_REQUIRED,
+        taskRequired: ERROR_TASK_REQUIRED,
+        toastSuccess: TOAST_SUCCESS,
+        toastError: TOAST_ERROR,
+        toastWarning: TOAST_WARNING,
+        unexpectedError: UNEXPECTED_ERROR,
+        loading: LOADING,
+        language: LANGUAGE,
+        taskName: TASK_NAME,
+        description: DESCRIPTION,
+        dueDate: DUE_DATE,
+        priority: PRIORITY,
+        category: CATEGORY,
+        assignedToEmail: ASSIGNED_TO_EMAIL,
+        assigneePlaceholder: ASSIGNEE_PLACEHOLDER,
+        requiredTask: REQUIRED_TASK,
+        phase: PHASE,
+        startsAfter: STARTS_AFTER,
+        addDependency: ADD_DEPENDENCY,
+        removeDependency: REMOVE_DEPENDENCY,
+        files: FILES,
+        removeFile: REMOVE_FILE,
+        fileLimits: FILE_LIMITS,
+        resumeBanner: RESUME_BANNER,
+        previousVisit: PREVIOUS_VISIT,
+        resumeDraft: RESUME_DRAFT,
+        startFresh: START_FRESH,
+        draftSaved: DRAFT_SAVED,
+        draftRestored: DRAFT_RESTORED,
+        emailResumeLink: EMAIL_RESUME_LINK,
+        resumeLinkSent: RESUME_LINK_SENT,
+        contactIntro: CONTACT_INTRO,
+        requiredField: REQUIRED_FIELD,
+        emailAddress: EMAIL_ADDRESS,
+        emailPlaceholder: EMAIL_PLACEHOLDER,
+        fullName: FULL_NAME,
+        namePlaceholder: NAME_PLACEHOLDER,
+        stakeholders: STAKEHOLDERS,
+        stakeholdersHelp: STAKEHOLDERS_HELP,
+        name: NAME,
+        role: ROLE,
+        rolePlaceholder: ROLE_PLACEHOLDER,
+        email: EMAIL,
+        remove: REMOVE,
+        addStakeholder: ADD_STAKEHOLDER,
+        maxStakeholders: MAX_STAKEHOLDERS,
+        invalidStakeholders: INVALID_STAKEHOLDERS,
+        playbooks: PLAYBOOKS,
+        playbooksHelp: PLAYBOOKS_HELP,
+        playbooksUnavailable: PLAYBOOKS_UNAVAILABLE,
+        taskCount: TASK_COUNT,
+        preview: PREVIEW,
+        order: ORDER,
+        task: TASK,
+        dayNumber: DAY_NUMBER,
+        addTasks: ADD_TASKS,
+        cancel: CANCEL,
+        playbookTooLarge: PLAYBOOK_TOO_LARGE,
+        playbookAdded: PLAYBOOK_ADDED,
+        quickAddTemplates: QUICK_ADD_TEMPLATES,
+        templatesUnavailable: TEMPLATES_UNAVAILABLE,
+        templateAdded: TEMPLATE_ADDED,
+        planStartDate: PLAN_START_DATE,
+        planStartDateHelp: PLAN_START_DATE_HELP,
+        phases: PHASES,
+        phasesHelp: PHASES_HELP,
+        phaseName: PHASE_NAME,
+        targetDate: TARGET_DATE,
+        newPhase: NEW_PHASE,
+        phasePlaceholder: PHASE_PLACEHOLDER,
+        addPhase: ADD_PHASE,
+        useStandardPhases: USE_STANDARD_PHASES,
+        maxPhases: MAX_PHASES,
+        duplicatePhase: DUPLICATE_PHASE,
+        phaseNameRequired: PHASE_NAME_REQUIRED,
+        noPhase: NO_PHASE,
+        untitledPhase: UNTITLED_PHASE,
+        collapse: COLLAPSE,
+        expand: EXPAND,
+        targetOn: TARGET_ON,
+        lastDueOn: LAST_DUE_ON,
+        atRisk: AT_RISK,
+        importFromSpreadsheet: IMPORT_FROM_SPREADSHEET,
+        tasksAdded: TASKS_ADDED,
+        importTasks: IMPORT_TASKS,
+        importHelp: IMPORT_HELP,
+        csvFile: CSV_FILE,
+        pasteRows: PASTE_ROWS,
+        pasteRowsPlaceholder: PASTE_ROWS_PLACEHOLDER,
+        firstRowHeaders: FIRST_ROW_HEADERS,
+        ignoreColumn: IGNORE_COLUMN,
+        columnNumber: COLUMN_NUMBER,
+        row: ROW,
+        assignedTo: ASSIGNED_TO,
+        problems: PROBLEMS,
+        importRowsFound: IMPORT_ROWS_FOUND,
+        importRowsSkipped: IMPORT_ROWS_SKIPPED,
+        importLimit: IMPORT_LIMIT,
+        importButton: IMPORT_BUTTON,
+        importTooLarge: IMPORT_TOO_LARGE,
+        importFileTooLarge: IMPORT_FILE_TOO_LARGE,
+        importFileUnreadable: IMPORT_FILE_UNREADABLE,
+        tasksImported: TASKS_IMPORTED,
+        tasksImportedSkipped: TASKS_IMPORTED_SKIPPED,
+        importNameRequired: IMPORT_NAME_REQUIRED,
+        importNameTooLong: IMPORT_NAME_TOO_LONG,
+        importUnknownPriority: IMPORT_UNKNOWN_PRIORITY,
+        importUnknownCategory: IMPORT_UNKNOWN_CATEGORY,
+        importInvalidEmail: IMPORT_INVALID_EMAIL,
+        importInvalidRequired: IMPORT_INVALID_REQUIRED,
+        importInvalidReminder: IMPORT_INVALID_REMINDER,
+        importInvalidDays: IMPORT_INVALID_DAYS,
+        importInvalidDate: IMPORT_INVALID_DATE,
+        importDateBeforeStart: IMPORT_DATE_BEFORE_START,
+        importDateMismatch: IMPORT_DATE_MISMATCH,
+        yourTasks: YOUR_TASKS,
+        dropOnPage: DROP_ON_PAGE,
+        dragHandleTitle: DRAG_HANDLE_TITLE,
+        dragHandleAssistive: DRAG_HANDLE_ASSISTIVE,
+        taskNumber: TASK_NUMBER,
+        daysFromStart: DAYS_FROM_START,
+        untitledTask: UNTITLED_TASK,
+        dependencyCycle: DEPENDENCY_CYCLE,
+        circularDependencies: CIRCULAR_DEPENDENCIES,
+        moveUp: MOVE_UP,
+        moveDown: MOVE_DOWN,
+        duplicate: DUPLICATE,
+        taskCopyName: TASK_COPY_NAME,
+        taskDuplicated: TASK_DUPLICATED,
+        pageOf: PAGE_OF,
+        noTasks: NO_TASKS,
+        tasksIncomplete: TASKS_INCOMPLETE,
+        reviewHeading: REVIEW_HEADING,
+        stakeholdersReviewHelp: STAKEHOLDERS_REVIEW_HELP,
+        tasks: TASKS,
+        dueOn: DUE_ON,
+        fileCount: FILE_COUNT,
+        afterTasks: AFTER_TASKS,
+        readyToSubmit: READY_TO_SUBMIT,
+        readyToSubmitHelp: READY_TO_SUBMIT_HELP,
+        captchaHelp: CAPTCHA_HELP,
+        filesNotUploaded: FILES_NOT_UPLOADED,
+        yourReferenceNumber: YOUR_REFERENCE_NUMBER,
+        saveReferenceNumber: SAVE_REFERENCE_NUMBER,
+        trackPlan: TRACK_PLAN,
+        downloadPdf: DOWNLOAD_PDF,
+        addToCalendar: ADD_TO_CALENDAR,
+        privateLinkHelp: PRIVATE_LINK_HELP,
+        managePlan: MANAGE_PLAN,
+        sharedBy: SHARED_BY,
+        you: YOU,
+        status: STATUS,
+        progress: PROGRESS,
+        progressText: PROGRESS_TEXT,
+        commentsCount: COMMENTS_COUNT,
+        filesCount: FILES_COUNT,
+        noAssignedTasks: NO_ASSIGNED_TASKS,
+        stakeholderLink: STAKEHOLDER_LINK,
+        stakeholderLinkUntil: STAKEHOLDER_LINK_UNTIL,
+        sendNewLink: SEND_NEW_LINK,
+        revokeLink: REVOKE_LINK,
+        viewTrackingPage: VIEW_TRACKING_PAGE,
+        saveChanges: SAVE_CHANGES,
+        tasksUpdated: TASKS_UPDATED,
+        newLinkSent: NEW_LINK_SENT,
+        invitationNotSent: INVITATION_NOT_SENT,
+        linkRevoked: LINK_REVOKED
     };
     
-    // Priority options
+    // Priority options - values are saved as is, labels follow the viewer's language
     priorityOptions = [
-        { label: 'High', value: 'High' },
-        { label: 'Medium', value: 'Medium' },
-        { label: 'Low', value: 'Low' }
+        { label: PRIORITY_HIGH, value: 'High' },
+        { label: PRIORITY_MEDIUM, value: 'Medium' },
+        { label: PRIORITY_LOW, value: 'Low' }
     ];
     
     // Category options
     categoryOptions = [
-        { label: 'Follow-up', value: 'Follow-up' },
-        { label: 'Documentation', value: 'Documentation' },
-        { label: 'Review', value: 'Review' },
-        { label: 'Approval', value: 'Approval' },
-        { label: 'Other', value: 'Other' }
+        { label: CATEGORY_FOLLOW_UP, value: 'Follow-up' },
+        { label: CATEGORY_DOCUMENTATION, value: 'Documentation' },
+        { label: CATEGORY_REVIEW, value: 'Review' },
+        { label: CATEGORY_APPROVAL, value: 'Approval' },
+        { label: CATEGORY_OTHER, value: 'Other' }
+    ];
+    
+    // Task status options (edit mode)
+    statusOptions = [
+        { label: TASK_STATUS_NOT_STARTED, value: 'Not Started' },
+        { label: TASK_STATUS_IN_PROGRESS, value: 'In Progress' },
+        { label: TASK_STATUS_COMPLETED, value: 'Completed' },
+        { label: TASK_STATUS_CANCELLED, value: 'Cancelled' }
+    ];
+    
+    // Plan statuses a guest can see; quarantined plans are reported as Pending
+    planStatusOptions = [
+        { label: STATUS_PENDING, value: 'Pending' },
+        { label: STATUS_PROCESSING, value: 'Processing' },
+        { label: STATUS_SYNCED, value: 'Synced' },
+        { label: STATUS_FAILED, value: 'Failed' }
+    ];
+    
+    // Stakeholder link statuses (edit mode)
+    linkStatusOptions = [
+        { label: LINK_STATUS_ACTIVE, value: 'Active' },
+        { label: LINK_STATUS_EXPIRED, value: 'Expired' },
+        { label: LINK_STATUS_REVOKED, value: 'Revoked' },
+        { label: LINK_STATUS_NOT_INVITED, value: 'Not Invited' }
     ];
     
+    // Read edit link parameters from the Experience Cloud page
+    @wire(CurrentPageReference)
+    setPageReference(pageRef) {
+        const state = pageRef && pageRef.state ? pageRef.state : {};
+        
+        if (state.ref && state.token && state.ref !== this.editReferenceId) {
+            this.editReferenceId = state.ref;
+            this.accessToken = state.token;
+            this.isEditMode = true;
+            this.loadPlanForEdit();
+        } else if (state.ref && state.invite && state.ref !== this.editReferenceId) {
+            this.editReferenceId = state.ref;
+            this.inviteToken = state.invite;
+            this.isEditMode = true;
+            this.isStakeholderView = true;
+            this.loadPlanForEdit();
+        } else if (state.ref && state.resume && state.ref !== this.resumeReferenceId) {
+            this.resumeReferenceId = state.ref;
+            this.loadDraft(state.ref, state.resume);
+        }
+    }
+    
     // Computed properties
     get progressPercent() {
         return (this.currentStep / 4) * 100;
     }
     
     get isStep1() {
-        return this.currentStep === 1;
+        return !this.isEditMode && this.currentStep === 1;
     }
     
     get isStep2() {
-        return this.currentStep === 2;
+        return !this.isEditMode && this.currentStep === 2;
     }
     
     get isStep3() {
-        return this.currentStep === 3;
+        return !this.isEditMode && this.currentStep === 3;
     }
     
     get isStep4() {
-        return this.currentStep === 4;
+        return !this.isEditMode && this.currentStep === 4;
     }
     
     get hasNoTasks() {
@@ -87,34 +643,339 @@ export default class DynamicActionPlanBuilder extends LightningElement {
         return this.tasks.length;
     }
     
+    get isSubmitDisabled() {
+        return this.isLoading || (this.captchaRequired && !this.captchaToken);
+    }
+    
     get canProceed() {
         if (this.currentStep === 1) {
-            return this.isValidEmail(this.userInfo.email) && this.userInfo.name;
+            return this.isValidEmail(this.userInfo.email) && this.userInfo.name && this.areStakeholdersValid();
         }
         if (this.currentStep === 2) {
-            return this.tasks.length > 0 && this.areTasksValid();
+            return this.tasks.length > 0 && this.areTasksValid() && this.arePhasesValid();
         }
         return true;
     }
     
+    // Tasks in collapsed phases are left out of pagination
+    get visibleTasks() {
+        const collapsedPhaseIds = this.phases
+            .filter(phase => !phase.isExpanded)
+            .map(phase => phase.tempId);
+        return this.tasks.filter(task => !collapsedPhaseIds.includes(task.phaseId));
+    }
+    
     get paginatedTasks() {
+        const visibleTasks = this.visibleTasks;
         const start = (this.currentPage - 1) * this.tasksPerPage;
         const end = start + this.tasksPerPage;
-        return this.tasks.slice(start, end);
+        
+        return visibleTasks.slice(start, end).map((task, offset) => {
+            const index = start + offset;
+            return {
+                ...this.decorateTask(task),
+                position: index + 1,
+                positionText: formatLabel(this.label.taskNumber, index + 1),
+                isFirstTask: index === 0,
+                isLastTask: index === visibleTasks.length - 1,
+                boxClass: task.tempId === this.draggedTaskId ? 
+                    'slds-box slds-m-bottom_small task-box task-box_dragging' : 
+                    'slds-box slds-m-bottom_small task-box'
+            };
+        });
+    }
+    
+    get paginatedPhaseGroups() {
+        const pageTasks = this.paginatedTasks;
+        
+        if (!this.hasPhases) {
+            return [{ key: 'all', showHeader: false, isExpanded: true, tasks: pageTasks }];
+        }
+        
+        // Collapsed phases keep their header so they can be expanded again
+        return this.buildPhaseGroups(pageTasks)
+            .filter(group => !group.isExpanded || group.tasks.length > 0);
+    }
+    
+    get reviewTasks() {
+        return this.tasks.map(task => this.decorateTask(task));
+    }
+    
+    get reviewPhaseGroups() {
+        return this.buildPhaseGroups(this.reviewTasks)
+            .filter(group => group.tasks.length > 0 || group.isPhase);
+    }
+    
+    get hasPhases() {
+        return this.phases.length > 0;
+    }
+    
+    get phaseList() {
+        return this.phases.map(phase => ({
+            ...phase,
+            taskCountText: formatLabel(this.label.taskCount, this.tasks.filter(task => task.phaseId === phase.tempId).length)
+        }));
+    }
+    
+    get phaseOptions() {
+        return [
+            { label: this.label.noPhase, value: '' },
+            ...this.phases.map(phase => ({ label: phase.name || this.label.untitledPhase, value: phase.tempId }))
+        ];
+    }
+    
+    get hasPlaybooks() {
+        return this.playbooks.length > 0;
+    }
+    
+    get playbookCards() {
+        return this.playbooks.map(playbook => ({
+            ...playbook,
+            taskCountText: formatLabel(this.label.taskCount, (playbook.Playbook_Items__r || []).length),
+            isSelected: playbook.Id === this.selectedPlaybookId
+        }));
+    }
+    
+    get selectedPlaybook() {
+        return this.playbooks.find(playbook => playbook.Id === this.selectedPlaybookId) || null;
+    }
+    
+    get playbookPreviewTasks() {
+        const playbook = this.selectedPlaybook;
+        if (!playbook) {
+            return [];
+        }
+        
+        return (playbook.Playbook_Items__r || []).map((item, index) => {
+            const task = this.createTaskFromTemplate(item.Task_Template__r, item);
+            return {
+                key: item.Id,
+                position: index + 1,
+                name: task.name,
+                priorityLabel: this.getOptionLabel(this.priorityOptions, task.priority),
+                categoryLabel: this.getOptionLabel(this.categoryOptions, task.category),
+                dayText: formatLabel(this.label.dayNumber, task.daysAfterStart),
+                dueDateFormatted: formatDate(this.addDaysToIsoDate(this.planStartDate, task.daysAfterStart))
+            };
+        });
+    }
+    
+    get addPlaybookLabel() {
+        return formatLabel(this.label.addTasks, this.playbookPreviewTasks.length);
+    }
+    
+    get isAddPlaybookDisabled() {
+        return this.playbookPreviewTasks.length === 0;
+    }
+    
+    get importFieldOptions() {
+        return [
+            { label: this.label.ignoreColumn, value: '' },
+            ...IMPORT_FIELDS.map(field => ({ label: field.label, value: field.value }))
+        ];
+    }
+    
+    get hasImportRows() {
+        return this.importRows.length > 0;
+    }
+    
+    get importRows() {
+        const records = this.importHasHeader ? this.importRecords.slice(1) : this.importRecords;
+        
+        return records.map((cells, index) => {
+            const { task, errors } = this.buildImportTask(cells);
+            return {
+                key: `import-${index}`,
+                rowNumber: index + 1,
+                task,
+                errors,
+                isValid: errors.length === 0,
+                errorText: errors.join('; '),
+                rowClass: errors.length > 0 ? 'import-row_invalid' : '',
+                priorityLabel: this.getOptionLabel(this.priorityOptions, task.priority),
+                categoryLabel: this.getOptionLabel(this.categoryOptions, task.category),
+                dueDateFormatted: formatDate(this.getOwnDueDate(task))
+            };
+        });
+    }
+    
+    get validImportRows() {
+        return this.importRows.filter(row => row.isValid);
+    }
+    
+    get invalidImportCount() {
+        return this.importRows.length - this.validImportRows.length;
+    }
+    
+    get hasInvalidImportRows() {
+        return this.invalidImportCount > 0;
+    }
+    
+    get remainingTaskCapacity() {
+        return Math.max(this.maxTasks - this.tasks.length, 0);
+    }
+    
+    get isImportOverLimit() {
+        return this.validImportRows.length > this.remainingTaskCapacity;
+    }
+    
+    get importLimitMessage() {
+        return formatLabel(this.label.importLimit, this.validImportRows.length, this.remainingTaskCapacity, this.maxTasks);
+    }
+    
+    get importSummary() {
+        return this.hasInvalidImportRows ?
+            formatLabel(this.label.importRowsSkipped, this.importRows.length, this.invalidImportCount) :
+            formatLabel(this.label.importRowsFound, this.importRows.length);
+    }
+    
+    get importButtonLabel() {
+        return formatLabel(this.label.importButton, this.validImportRows.length);
+    }
+    
+    get isImportDisabled() {
+        return this.validImportRows.length === 0 || this.isImportOverLimit;
+    }
+    
+    get isAddStakeholderDisabled() {
+        return this.stakeholders.length >= this.maxStakeholders;
+    }
+    
+    get hasStakeholders() {
+        return this.stakeholders.length > 0;
+    }
+    
+    get hasEditStakeholders() {
+        return !this.isStakeholderView && this.editStakeholders.length > 0;
+    }
+    
+    get editHeading() {
+        return this.isStakeholderView ? this.label.yourTasks : this.label.managePlan;
+    }
+    
+    get isAddPhaseDisabled() {
+        return !this.newPhase.name.trim() || this.phases.length >= this.maxPhases;
     }
     
     get totalPages() {
-        return Math.ceil(this.tasks.length / this.tasksPerPage);
+        return Math.ceil(this.visibleTasks.length / this.tasksPerPage);
     }
     
     get hasPreviousPage() {
         return this.currentPage > 1;
     }
     
+    get isDragging() {
+        return !!this.draggedTaskId;
+    }
+    
+    get previousPageDropText() {
+        return formatLabel(this.label.dropOnPage, this.currentPage - 1);
+    }
+    
+    get nextPageDropText() {
+        return formatLabel(this.label.dropOnPage, this.currentPage + 1);
+    }
+    
+    get pageText() {
+        return formatLabel(this.label.pageOf, this.currentPage, this.totalPages);
+    }
+    
+    get tasksAddedText() {
+        return formatLabel(this.label.tasksAdded, this.totalTasks);
+    }
+    
+    get showPreviousPageDropZone() {
+        return this.isDragging && this.hasPreviousPage;
+    }
+    
+    get showNextPageDropZone() {
+        return this.isDragging && this.hasNextPage;
+    }
+    
     get hasNextPage() {
         return this.currentPage < this.totalPages;
     }
     
+    get showWizardFooter() {
+        return !this.isEditMode && this.currentStep !== 4;
+    }
+    
+    get editCompletedCount() {
+        return this.editTasks.filter(task => task.status === 'Completed').length;
+    }
+    
+    get editProgressText() {
+        return formatLabel(this.label.progressText, this.editCompletedCount, this.editTasks.length);
+    }
+    
+    get editStatusLabel() {
+        return this.editPlan ? this.getOptionLabel(this.planStatusOptions, this.editPlan.status) : '';
+    }
+    
+    get hasPendingStatusChanges() {
+        return this.editTasks.some(task => task.isChanged);
+    }
+    
+    get isSaveStatusDisabled() {
+        return this.isLoading || !this.hasPendingStatusChanges;
+    }
+    
+    get editTrackingUrl() {
+        if (this.editReferenceId) {
+            return `/action-plan-status?ref=${this.editReferenceId}`;
+        }
+        return null;
+    }
+    
+    get acceptedFileTypes() {
+        return this.fileLimits ? this.fileLimits.allowedFileExtensions.map(extension => `.${extension}`).join(',') : '';
+    }
+    
+    get fileLimitsText() {
+        if (!this.fileLimits) return '';
+        return formatLabel(this.label.fileLimits, this.fileLimits.maxFilesPerTask, formatFileSize(this.fileLimits.maxFileSizeBytes));
+    }
+    
+    get hasResumableDraft() {
+        return !this.isEditMode && !!this.resumableDraft;
+    }
+    
+    get resumableDraftTaskCount() {
+        return this.resumableDraft ? this.resumableDraft.tasks.length : 0;
+    }
+    
+    get resumableDraftSavedFormatted() {
+        if (!this.resumableDraft || !this.resumableDraft.savedAt) {
+            return this.label.previousVisit;
+        }
+        return formatDateTime(this.resumableDraft.savedAt);
+    }
+    
+    get resumableDraftText() {
+        return formatLabel(this.label.resumeBanner, this.resumableDraftSavedFormatted, this.resumableDraftTaskCount);
+    }
+    
+    get shouldAutosave() {
+        return !this.isEditMode && 
+            !this.resumableDraft && 
+            this.currentStep < 4 && 
+            (this.tasks.length > 0 || !!this.userInfo.email);
+    }
+    
+    get draftStatusText() {
+        if (!this.draftSavedAt) {
+            return null;
+        }
+        return formatLabel(this.label.draftSaved, formatTime(this.draftSavedAt));
+    }
+    
+    // Emailing a link is checked like a submission, so with CAPTCHA on it waits for the widget on step 3
+    get canEmailResumeLink() {
+        return this.saveDraftsToServer && this.currentStep > 1 && this.isValidEmail(this.userInfo.email) &&
+            (!this.captchaRequired || Boolean(this.captchaToken));
+    }
+    
     get trackingUrl() {
         if (this.completedReferenceId) {
             return `/action-plan-status?ref=${this.completedReferenceId}`;
@@ -122,11 +983,51 @@ export default class DynamicActionPlanBuilder extends LightningElement {
         return null;
     }
     
+    // Languages - guests read the site in the language of its URL, signed-in users in their own
+    get languageOptions() {
+        const languages = (this.languages || '').split(',').map(language => language.trim()).filter(language => language);
+        return getLanguageOptions(languages);
+    }
+    
+    get showLanguagePicker() {
+        return IS_GUEST && this.languageOptions.length > 1;
+    }
+    
+    get selectedLanguage() {
+        const selected = this.languageOptions.find(option => option.selected);
+        return selected ? selected.value : '';
+    }
+    
     // Lifecycle
     connectedCallback() {
+        this.handleCaptchaVerified = this.handleCaptchaVerified.bind(this);
+        this.handleCaptchaExpired = this.handleCaptchaExpired.bind(this);
+        document.addEventListener(CAPTCHA_VERIFIED_EVENT, this.handleCaptchaVerified);
+        document.addEventListener(CAPTCHA_EXPIRED_EVENT, this.handleCaptchaExpired);
+        
         this.initializeComponent();
     }
     
+    renderedCallback() {
+        this.scheduleDraftSave();
+        this.renderCaptcha();
+        
+        // Keep keyboard focus on a task's reorder handle after it moves
+        if (this.focusTaskId) {
+            const handle = this.template.querySelector(`[data-reorder-handle="${this.focusTaskId}"]`);
+            if (handle) {
+                handle.focus();
+            }
+            this.focusTaskId = null;
+        }
+    }
+    
+    disconnectedCallback() {
+        clearTimeout(this.draftSaveTimeout);
+        document.removeEventListener(CAPTCHA_VERIFIED_EVENT, this.handleCaptchaVerified);
+        document.removeEventListener(CAPTCHA_EXPIRED_EVENT, this.handleCaptchaExpired);
+    }
+    
     async initializeComponent() {
         try {
             this.isLoading = true;
@@ -136,8 +1037,25 @@ export default class DynamicActionPlanBuilder extends LightningElement {
                 this.referenceId = this.generateReferenceId();
             }
             
-            // Load templates
-            await this.loadTaskTemplates();
+            this.planStartDate = getTodayIsoDate();
+            this.sessionId = this.generateSessionId();
+            
+            // Offer to resume an unfinished plan unless a link opened a specific one. After a
+            // language switch the plan carries straight on.
+            if (!this.isEditMode && !this.resumeReferenceId) {
+                this.resumableDraft = this.readLocalDraft();
+                if (this.resumableDraft && this.takeLanguageResumeFlag()) {
+                    this.handleResumeDraft();
+                }
+            }
+            
+            // Load limits, templates and playbooks
+            await Promise.all([
+                this.loadSubmissionToken(),
+                this.loadBuilderSettings(),
+                this.loadTaskTemplates(),
+                this.loadPlaybooks()
+            ]);
             
         } catch (error) {
             this.handleError(error);
@@ -146,16 +1064,130 @@ export default class DynamicActionPlanBuilder extends LightningElement {
         }
     }
     
+    async loadSubmissionToken() {
+        try {
+            this.csrfToken = await getSubmissionToken({ sessionId: this.sessionId });
+        } catch (error) {
+            console.error('Error loading submission token:', error);
+        }
+    }
+    
+    // Keep the built-in limits if the settings cannot be loaded; the server still enforces its own
+    async loadBuilderSettings() {
+        try {
+            const settings = await getBuilderSettings();
+            if (settings?.maxTasksPerPlan) {
+                this.maxTasks = settings.maxTasksPerPlan;
+            }
+            if (settings?.maxPhasesPerPlan) {
+                this.maxPhases = settings.maxPhasesPerPlan;
+            }
+            if (settings?.maxStakeholdersPerPlan) {
+                this.maxStakeholders = settings.maxStakeholdersPerPlan;
+            }
+            this.captchaRequired = settings?.captchaRequired === true;
+            this.captchaSiteKey = settings?.captchaSiteKey || null;
+            if (settings?.fileUploadsEnabled) {
+                this.fileLimits = settings;
+            }
+        } catch (error) {
+            console.error('Error loading builder settings:', error);
+        }
+    }
+    
     async loadTaskTemplates() {
         try {
             const templates = await getTaskTemplates();
             this.taskTemplates = templates || [];
         } catch (error) {
             console.error('Error loading templates:', error);
-            this.showToast('Error', 'Unable to load task templates', 'error');
+            this.showToast(this.label.toastError, this.label.templatesUnavailable, 'error');
+        }
+    }
+    
+    async loadPlaybooks() {
+        try {
+            const playbooks = await getPlaybooks();
+            this.playbooks = playbooks || [];
+        } catch (error) {
+            console.error('Error loading playbooks:', error);
+            this.showToast(this.label.toastError, this.label.playbooksUnavailable, 'error');
+        }
+    }
+    
+    async loadPlanForEdit() {
+        try {
+            this.isLoading = true;
+            this.error = null;
+            
+            const plan = this.isStakeholderView ?
+                await getStakeholderTasks({
+                    referenceId: this.editReferenceId,
+                    inviteToken: this.inviteToken
+                }) :
+                await getActionPlanForEdit({
+                    referenceId: this.editReferenceId,
+                    accessToken: this.accessToken
+                });
+            this.setEditPlan(plan);
+            
+        } catch (error) {
+            this.editPlan = null;
+            this.editTasks = [];
+            this.editStakeholders = [];
+            this.handleError(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+    
+    async loadDraft(referenceId, draftToken) {
+        try {
+            this.isLoading = true;
+            this.error = null;
+            
+            const result = await getDraft({ referenceId, draftToken });
+            this.applyDraftState(JSON.parse(result.state), draftToken);
+            this.resumableDraft = null;
+            this.showToast(this.label.toastSuccess, this.label.draftRestored, 'success');
+            
+        } catch (error) {
+            this.handleError(error);
+        } finally {
+            this.isLoading = false;
         }
     }
     
+    setEditPlan(plan) {
+        // Keep open comment threads and file lists open when the plan is reloaded after a save
+        const openThreads = this.editTasks.filter(task => task.showComments).map(task => task.id);
+        const openFiles = this.editTasks.filter(task => task.showFiles).map(task => task.id);
+        
+        this.editPlan = plan;
+        this.editTasks = (plan.tasks || []).map(task => ({
+            ...task,
+            priorityLabel: this.getOptionLabel(this.priorityOptions, task.priority),
+            dueText: task.dueDate ? formatLabel(this.label.dueOn, formatDate(task.dueDate)) : null,
+            originalStatus: task.status,
+            isChanged: false,
+            showComments: openThreads.includes(task.id),
+            commentsLabel: formatLabel(this.label.commentsCount, task.commentCount || 0),
+            showFiles: openFiles.includes(task.id),
+            filesLabel: formatLabel(this.label.filesCount, task.fileCount || 0)
+        }));
+        this.editStakeholders = (plan.stakeholders || []).map(stakeholder => {
+            const canRevoke = stakeholder.linkStatus === 'Active';
+            const linkStatus = this.getOptionLabel(this.linkStatusOptions, stakeholder.linkStatus);
+            return {
+                ...stakeholder,
+                canRevoke,
+                linkText: canRevoke && stakeholder.expiresDate ?
+                    formatLabel(this.label.stakeholderLinkUntil, stakeholder.taskCount, linkStatus, formatTimestampDate(stakeholder.expiresDate)) :
+                    formatLabel(this.label.stakeholderLink, stakeholder.taskCount, linkStatus)
+            };
+        });
+    }
+    
     // Event Handlers
     handleUserInfoChange(event) {
         const field = event.target.dataset.field;
@@ -179,7 +1211,7 @@ export default class DynamicActionPlanBuilder extends LightningElement {
             ...this.taskPrototype,
             tempId: this.generateTempId()
         };
-        this.tasks = [...this.tasks, newTask];
+        this.tasks = this.scheduleTasks([...this.tasks, newTask]);
         
         // Navigate to last page to show new task
         this.currentPage = this.totalPages;
@@ -190,77 +1222,421 @@ export default class DynamicActionPlanBuilder extends LightningElement {
         const template = this.taskTemplates.find(t => t.Id === templateId);
         
         if (template) {
-            const newTask = {
-                tempId: this.generateTempId(),
-                name: template.Name,
-                description: template.Description__c || '',
-                dueDate: this.calculateDueDate(template.Default_Duration_Days__c || 7),
-                priority: template.Default_Priority__c || 'Medium',
-                category: template.Category__c || 'Follow-up',
-                assignedToEmail: '',
-                daysAfterStart: template.Default_Duration_Days__c || 1,
-                isRequired: true,
-                reminderDaysBefore: 1
-            };
+            const newTask = this.createTaskFromTemplate(template);
             
-            this.tasks = [...this.tasks, newTask];
-            this.showToast('Success', 'Task template added', 'success');
+            this.tasks = this.scheduleTasks([...this.tasks, newTask]);
+            this.showToast(this.label.toastSuccess, this.label.templateAdded, 'success');
         }
     }
     
-    handleTaskChange(event) {
-        const tempId = event.target.dataset.taskId;
-        const field = event.target.dataset.field;
-        const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
-        
-        this.tasks = this.tasks.map(task => {
-            if (task.tempId === tempId) {
-                return { ...task, [field]: value };
-            }
-            return task;
-        });
+    handlePreviewPlaybook(event) {
+        this.selectedPlaybookId = event.currentTarget.dataset.playbookId;
     }
     
-    handleRemoveTask(event) {
-        const tempId = event.currentTarget.dataset.taskId;
-        this.tasks = this.tasks.filter(task => task.tempId !== tempId);
-        
-        // Adjust page if needed
-        if (this.currentPage > this.totalPages && this.totalPages > 0) {
-            this.currentPage = this.totalPages;
-        }
+    handleCancelPlaybook() {
+        this.selectedPlaybookId = null;
     }
     
-    handleDuplicateTask(event) {
-        const tempId = event.currentTarget.dataset.taskId;
-        const taskToDuplicate = this.tasks.find(task => task.tempId === tempId);
+    handleAddPlaybook() {
+        const playbook = this.selectedPlaybook;
+        if (!playbook) {
+            return;
+        }
         
-        if (taskToDuplicate) {
-            const duplicatedTask = {
-                ...taskToDuplicate,
-                tempId: this.generateTempId(),
-                name: taskToDuplicate.name + ' (Copy)'
-            };
-            
-            this.tasks = [...this.tasks, duplicatedTask];
-            this.showToast('Success', 'Task duplicated', 'success');
+        const items = playbook.Playbook_Items__r || [];
+        if (this.tasks.length + items.length > this.maxTasks) {
+            this.showToast(
+                this.label.toastError, 
+                formatLabel(this.label.playbookTooLarge, this.maxTasks), 
+                'error'
+            );
+            return;
         }
+        
+        const newTasks = items.map(item => this.createTaskFromTemplate(item.Task_Template__r, item));
+        
+        this.tasks = this.scheduleTasks([...this.tasks, ...newTasks]);
+        this.selectedPlaybookId = null;
+        this.showToast(this.label.toastSuccess, formatLabel(this.label.playbookAdded, newTasks.length, playbook.Name), 'success');
     }
     
-    handlePreviousPage() {
-        if (this.hasPreviousPage) {
-            this.currentPage--;
+    handleToggleImport() {
+        this.isImportOpen = !this.isImportOpen;
+        if (!this.isImportOpen) {
+            this.resetImport();
         }
     }
     
-    handleNextPage() {
-        if (this.hasNextPage) {
-            this.currentPage++;
+    handleImportTextChange(event) {
+        this.importText = event.target.value;
+        this.loadImportText(this.importText);
+    }
+    
+    handleImportFileChange(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) {
+            return;
+        }
+        
+        if (file.size > MAX_IMPORT_FILE_SIZE) {
+            this.showToast(this.label.toastError, this.label.importFileTooLarge, 'error');
+            event.target.value = null;
+            return;
         }
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.importText = reader.result;
+            this.loadImportText(this.importText);
+        };
+        reader.onerror = () => {
+            this.showToast(this.label.toastError, this.label.importFileUnreadable, 'error');
+        };
+        reader.readAsText(file);
     }
     
-    async handleSave() {
-        try {
+    handleImportHeaderChange(event) {
+        this.importHasHeader = event.target.checked;
+        this.importColumns = this.buildImportColumns(this.importRecords, this.importHasHeader);
+    }
+    
+    handleImportColumnChange(event) {
+        const index = Number(event.target.dataset.columnIndex);
+        const field = event.target.value;
+        
+        // A task field can only come from one column
+        this.importColumns = this.importColumns.map(column => {
+            if (column.index === index) {
+                return { ...column, field };
+            }
+            return field && column.field === field ? { ...column, field: '' } : column;
+        });
+    }
+    
+    handleImportTasks() {
+        const rows = this.validImportRows;
+        if (rows.length === 0) {
+            return;
+        }
+        
+        if (this.tasks.length + rows.length > this.maxTasks) {
+            this.showToast(
+                this.label.toastError, 
+                formatLabel(this.label.importTooLarge, this.maxTasks), 
+                'error'
+            );
+            return;
+        }
+        
+        const newTasks = rows.map(row => ({ ...row.task, tempId: this.generateTempId() }));
+        const skipped = this.invalidImportCount;
+        
+        this.tasks = this.scheduleTasks([...this.tasks, ...newTasks]);
+        this.isImportOpen = false;
+        this.resetImport();
+        this.currentPage = this.totalPages;
+        
+        const message = skipped > 0 ? 
+            formatLabel(this.label.tasksImportedSkipped, newTasks.length, skipped) : 
+            formatLabel(this.label.tasksImported, newTasks.length);
+        this.showToast(this.label.toastSuccess, message, 'success');
+    }
+    
+    handleTaskChange(event) {
+        const tempId = event.target.dataset.taskId;
+        const field = event.target.dataset.field;
+        let value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        if (field === 'daysAfterStart') {
+            value = value === '' ? null : Number(value) || 0;
+        }
+        
+        let updatedTasks = this.tasks.map(task => {
+            if (task.tempId === tempId) {
+                // A typed due date replaces the task's offset from the start date
+                return field === 'dueDate' ? 
+                    { ...task, dueDate: value || null, daysAfterStart: null } : 
+                    { ...task, [field]: value };
+            }
+            return task;
+        });
+        
+        // Keep tasks ordered by phase so the list and the saved order match
+        if (field === 'phaseId') {
+            updatedTasks = this.sortTasksByPhase(updatedTasks);
+        }
+        
+        this.tasks = this.scheduleTasks(updatedTasks);
+        this.adjustCurrentPage();
+    }
+    
+    handleAddStakeholder() {
+        if (this.stakeholders.length >= this.maxStakeholders) {
+            this.showToast(this.label.toastError, formatLabel(this.label.maxStakeholders, this.maxStakeholders), 'error');
+            return;
+        }
+        
+        this.stakeholders = [
+            ...this.stakeholders, 
+            { tempId: this.generateTempId(), name: '', role: '', email: '' }
+        ];
+    }
+    
+    handleStakeholderChange(event) {
+        const tempId = event.target.dataset.stakeholderId;
+        const field = event.target.dataset.field;
+        const value = event.target.value;
+        
+        this.stakeholders = this.stakeholders.map(stakeholder => {
+            if (stakeholder.tempId === tempId) {
+                return { ...stakeholder, [field]: value };
+            }
+            return stakeholder;
+        });
+    }
+    
+    handleRemoveStakeholder(event) {
+        const tempId = event.currentTarget.dataset.stakeholderId;
+        this.stakeholders = this.stakeholders.filter(stakeholder => stakeholder.tempId !== tempId);
+    }
+    
+    handleNewPhaseChange(event) {
+        const field = event.target.dataset.field;
+        this.newPhase = { ...this.newPhase, [field]: event.target.value };
+    }
+    
+    handleAddPhase() {
+        const name = this.newPhase.name.trim();
+        
+        if (!name) {
+            return;
+        }
+        if (this.phases.length >= this.maxPhases) {
+            this.showToast(this.label.toastError, formatLabel(this.label.maxPhases, this.maxPhases), 'error');
+            return;
+        }
+        if (this.phases.some(phase => phase.name.toLowerCase() === name.toLowerCase())) {
+            this.showToast(this.label.toastError, this.label.duplicatePhase, 'error');
+            return;
+        }
+        
+        this.phases = [...this.phases, this.createPhase(name, this.newPhase.targetDate || null)];
+        this.newPhase = { name: '', targetDate: '' };
+    }
+    
+    handleAddDefaultPhases() {
+        const existingNames = this.phases.map(phase => phase.name.toLowerCase());
+        const newPhases = this.defaultPhaseNames
+            .filter(name => !existingNames.includes(name.toLowerCase()))
+            .map(name => this.createPhase(name, null));
+        
+        this.phases = [...this.phases, ...newPhases].slice(0, this.maxPhases);
+    }
+    
+    handlePhaseChange(event) {
+        const phaseId = event.target.dataset.phaseId;
+        const field = event.target.dataset.field;
+        const value = event.target.value;
+        
+        this.phases = this.phases.map(phase => {
+            if (phase.tempId === phaseId) {
+                return { ...phase, [field]: field === 'targetDate' ? value || null : value };
+            }
+            return phase;
+        });
+    }
+    
+    handleRemovePhase(event) {
+        const phaseId = event.currentTarget.dataset.phaseId;
+        
+        this.phases = this.phases.filter(phase => phase.tempId !== phaseId);
+        this.tasks = this.sortTasksByPhase(this.tasks.map(task => 
+            task.phaseId === phaseId ? { ...task, phaseId: '' } : task
+        ));
+        this.adjustCurrentPage();
+    }
+    
+    handleTogglePhase(event) {
+        const phaseId = event.currentTarget.dataset.phaseId;
+        
+        this.phases = this.phases.map(phase => {
+            if (phase.tempId === phaseId) {
+                return { ...phase, isExpanded: !phase.isExpanded };
+            }
+            return phase;
+        });
+        this.adjustCurrentPage();
+    }
+    
+    handleStartDateChange(event) {
+        this.planStartDate = event.target.value || getTodayIsoDate();
+        this.tasks = this.scheduleTasks(this.tasks);
+    }
+    
+    handleAddDependency(event) {
+        const tempId = event.target.dataset.taskId;
+        const dependencyId = event.target.value;
+        event.target.value = '';
+        
+        if (!dependencyId) {
+            return;
+        }
+        
+        if (this.wouldCreateCycle(tempId, dependencyId)) {
+            this.showToast(this.label.toastError, this.label.dependencyCycle, 'error');
+            return;
+        }
+        
+        this.tasks = this.scheduleTasks(this.tasks.map(task => {
+            if (task.tempId === tempId) {
+                return { ...task, dependsOn: [...task.dependsOn, dependencyId] };
+            }
+            return task;
+        }));
+    }
+    
+    handleRemoveDependency(event) {
+        const tempId = event.currentTarget.dataset.taskId;
+        const dependencyId = event.currentTarget.dataset.dependencyId;
+        
+        this.tasks = this.scheduleTasks(this.tasks.map(task => {
+            if (task.tempId === tempId) {
+                return { ...task, dependsOn: task.dependsOn.filter(id => id !== dependencyId) };
+            }
+            return task;
+        }));
+    }
+    
+    handleRemoveTask(event) {
+        const tempId = event.currentTarget.dataset.taskId;
+        this.tasks = this.scheduleTasks(
+            this.tasks
+                .filter(task => task.tempId !== tempId)
+                .map(task => ({ ...task, dependsOn: task.dependsOn.filter(id => id !== tempId) }))
+        );
+        
+        const pendingFiles = { ...this.pendingFiles };
+        delete pendingFiles[tempId];
+        this.pendingFiles = pendingFiles;
+        
+        this.adjustCurrentPage();
+    }
+    
+    handleTaskFileChange(event) {
+        const tempId = event.target.dataset.taskId;
+        const taskFiles = [...(this.pendingFiles[tempId] || [])];
+        const selected = Array.from(event.target.files || []);
+        event.target.value = null;
+        
+        for (const file of selected) {
+            const problem = validateFile(file, this.fileLimits, taskFiles.length);
+            if (problem) {
+                this.showToast(this.label.toastError, problem, 'error');
+                break;
+            }
+            taskFiles.push({ key: this.generateTempId(), name: file.name, size: file.size, file });
+        }
+        
+        this.pendingFiles = { ...this.pendingFiles, [tempId]: taskFiles };
+    }
+    
+    handleRemoveTaskFile(event) {
+        const tempId = event.currentTarget.dataset.taskId;
+        const fileKey = event.currentTarget.dataset.fileKey;
+        
+        this.pendingFiles = {
+            ...this.pendingFiles,
+            [tempId]: (this.pendingFiles[tempId] || []).filter(pending => pending.key !== fileKey)
+        };
+    }
+    
+    handleDuplicateTask(event) {
+        const tempId = event.currentTarget.dataset.taskId;
+        const taskToDuplicate = this.tasks.find(task => task.tempId === tempId);
+        
+        if (taskToDuplicate) {
+            const duplicatedTask = {
+                ...taskToDuplicate,
+                tempId: this.generateTempId(),
+                name: formatLabel(this.label.taskCopyName, taskToDuplicate.name)
+            };
+            
+            this.tasks = this.scheduleTasks(this.sortTasksByPhase([...this.tasks, duplicatedTask]));
+            this.showToast(this.label.toastSuccess, this.label.taskDuplicated, 'success');
+        }
+    }
+    
+    handleDragStart(event) {
+        this.draggedTaskId = event.currentTarget.dataset.taskId;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', this.draggedTaskId);
+    }
+    
+    handleDragOver(event) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+    }
+    
+    handleDrop(event) {
+        event.preventDefault();
+        const targetId = event.currentTarget.dataset.taskId;
+        const visibleTasks = this.visibleTasks;
+        const fromIndex = visibleTasks.findIndex(task => task.tempId === this.draggedTaskId);
+        const toIndex = visibleTasks.findIndex(task => task.tempId === targetId);
+        
+        if (fromIndex !== -1 && toIndex !== -1 && fromIndex !== toIndex) {
+            this.moveTask(this.draggedTaskId, targetId, fromIndex < toIndex ? 'after' : 'before');
+        }
+        this.draggedTaskId = null;
+    }
+    
+    // Dropping on a page edge moves the task to the end of the previous page or the start of the next
+    handleDropOnPage(event) {
+        event.preventDefault();
+        const visibleTasks = this.visibleTasks;
+        const isPrevious = event.currentTarget.dataset.direction === 'previous';
+        const target = isPrevious ? 
+            visibleTasks[(this.currentPage - 1) * this.tasksPerPage - 1] : 
+            visibleTasks[this.currentPage * this.tasksPerPage];
+        
+        if (this.draggedTaskId && target) {
+            this.moveTask(this.draggedTaskId, target.tempId, isPrevious ? 'before' : 'after');
+        }
+        this.draggedTaskId = null;
+    }
+    
+    handleDragEnd() {
+        this.draggedTaskId = null;
+    }
+    
+    handleMoveTaskUp(event) {
+        this.moveTaskBy(event.currentTarget.dataset.taskId, -1);
+    }
+    
+    handleMoveTaskDown(event) {
+        this.moveTaskBy(event.currentTarget.dataset.taskId, 1);
+    }
+    
+    handleReorderKeyDown(event) {
+        if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            this.moveTaskBy(event.currentTarget.dataset.taskId, event.key === 'ArrowUp' ? -1 : 1);
+        }
+    }
+    
+    handlePreviousPage() {
+        if (this.hasPreviousPage) {
+            this.currentPage--;
+        }
+    }
+    
+    handleNextPage() {
+        if (this.hasNextPage) {
+            this.currentPage++;
+        }
+    }
+    
+    async handleSave() {
+        try {
             this.isLoading = true;
             
             // Validate
@@ -275,10 +1651,25 @@ export default class DynamicActionPlanBuilder extends LightningElement {
                 submittedByName: this.userInfo.name,
                 relatedRecordId: this.recordId || null,
                 relatedObjectType: this.relatedObjectType,
-                ipAddress: await this.getClientIP(),
                 userAgent: navigator.userAgent,
-                sessionId: this.generateSessionId(),
-                tasks: this.tasks.map(task => ({
+                sessionId: this.sessionId,
+                csrfToken: this.csrfToken,
+                draftToken: this.draftToken,
+                captchaToken: this.captchaToken,
+                startDate: this.planStartDate,
+                phases: this.phases.map(phase => ({
+                    phaseKey: phase.tempId,
+                    name: phase.name,
+                    targetDate: phase.targetDate || null
+                })),
+                stakeholders: this.stakeholders.map(stakeholder => ({
+                    name: stakeholder.name.trim(),
+                    role: stakeholder.role.trim(),
+                    email: stakeholder.email.trim()
+                })),
+                tasks: this.tasks.map((task, index) => ({
+                    taskKey: task.tempId,
+                    taskOrder: index + 1,
                     name: task.name,
                     description: task.description,
                     dueDate: task.dueDate,
@@ -287,7 +1678,10 @@ export default class DynamicActionPlanBuilder extends LightningElement {
                     assignedToEmail: task.assignedToEmail,
                     daysAfterStart: task.daysAfterStart,
                     isRequired: task.isRequired,
-                    reminderDaysBefore: task.reminderDaysBefore
+                    reminderDaysBefore: task.reminderDaysBefore,
+                    dependsOn: task.dependsOn,
+                    phaseKey: task.phaseId || null,
+                    fileCount: this.getTaskFiles(task).length
                 }))
             };
             
@@ -297,62 +1691,1014 @@ export default class DynamicActionPlanBuilder extends LightningElement {
             });
             
             if (result.success) {
+                this.clearDraft();
+                const failedFiles = await this.uploadPendingFiles(result);
                 this.completedReferenceId = result.referenceId;
+                this.completedEditUrl = result.editUrl;
+                this.completedAccessToken = result.accessToken;
                 this.currentStep = 4;
-                this.showToast('Success', 'Your action plan has been submitted successfully!', 'success');
+                this.showToast(this.label.toastSuccess, this.label.successMessage, 'success');
+                if (failedFiles.length > 0) {
+                    this.showToast(
+                        this.label.toastWarning,
+                        formatLabel(this.label.filesNotUploaded, failedFiles.join(', ')),
+                        'warning'
+                    );
+                }
             }
             
         } catch (error) {
+            // A CAPTCHA token is good for one verification, so ask for a new one
+            this.resetCaptcha();
             this.handleError(error);
         } finally {
             this.isLoading = false;
         }
     }
     
+    handleToggleComments(event) {
+        const taskId = event.currentTarget.dataset.taskId;
+        
+        this.editTasks = this.editTasks.map(task =>
+            task.id === taskId ? { ...task, showComments: !task.showComments } : task
+        );
+    }
+    
+    handleCommentPosted(event) {
+        const { taskId, commentCount } = event.detail;
+        
+        this.editTasks = this.editTasks.map(task =>
+            task.id === taskId ? { ...task, commentCount, commentsLabel: formatLabel(this.label.commentsCount, commentCount) } : task
+        );
+    }
+    
+    handleToggleFiles(event) {
+        const taskId = event.currentTarget.dataset.taskId;
+        
+        this.editTasks = this.editTasks.map(task =>
+            task.id === taskId ? { ...task, showFiles: !task.showFiles } : task
+        );
+    }
+    
+    handleFileUploaded(event) {
+        const { taskId, fileCount } = event.detail;
+        
+        this.editTasks = this.editTasks.map(task =>
+            task.id === taskId ? { ...task, fileCount, filesLabel: formatLabel(this.label.filesCount, fileCount) } : task
+        );
+    }
+    
+    handleEditStatusChange(event) {
+        const taskId = event.target.dataset.taskId;
+        const status = event.target.value;
+        
+        this.editTasks = this.editTasks.map(task => {
+            if (task.id === taskId) {
+                return { ...task, status, isChanged: status !== task.originalStatus };
+            }
+            return task;
+        });
+    }
+    
+    // CAPTCHA
+    // The widget is drawn by the reCAPTCHA script in the site's head markup, which cannot
+    // reach into this component, so the container element is handed to it in an event
+    renderCaptcha() {
+        const container = this.captchaRequired ? this.template.querySelector('.captcha-container') : null;
+        if (container === this.captchaContainer) {
+            return;
+        }
+        
+        this.captchaContainer = container;
+        if (container) {
+            if (this.captchaToken) {
+                this.captchaToken = null;
+            }
+            document.dispatchEvent(new CustomEvent(CAPTCHA_RENDER_EVENT, {
+                detail: { element: container, siteKey: this.captchaSiteKey }
+            }));
+        }
+    }
+    
+    resetCaptcha() {
+        if (!this.captchaContainer) {
+            return;
+        }
+        this.captchaToken = null;
+        document.dispatchEvent(new CustomEvent(CAPTCHA_RESET_EVENT, {
+            detail: { element: this.captchaContainer }
+        }));
+    }
+    
+    handleCaptchaVerified(event) {
+        this.captchaToken = event.detail?.response || null;
+    }
+    
+    handleCaptchaExpired() {
+        this.captchaToken = null;
+    }
+    
+    async handleSaveTaskStatuses() {
+        const changedTasks = this.editTasks.filter(task => task.isChanged);
+        if (changedTasks.length === 0) {
+            return;
+        }
+        
+        try {
+            this.isLoading = true;
+            
+            const taskUpdatesJson = JSON.stringify(changedTasks.map(task => ({
+                taskId: task.id,
+                status: task.status
+            })));
+            const plan = this.isStakeholderView ?
+                await updateStakeholderTaskStatuses({
+                    referenceId: this.editReferenceId,
+                    inviteToken: this.inviteToken,
+                    taskUpdatesJson
+                }) :
+                await updateTaskStatuses({
+                    referenceId: this.editReferenceId,
+                    accessToken: this.accessToken,
+                    taskUpdatesJson
+                });
+            
+            this.setEditPlan(plan);
+            this.showToast(this.label.toastSuccess, formatLabel(this.label.tasksUpdated, changedTasks.length), 'success');
+            
+        } catch (error) {
+            this.handleError(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+    
+    async handleResendInvitation(event) {
+        const stakeholderId = event.currentTarget.dataset.stakeholderId;
+        
+        try {
+            this.isLoading = true;
+            
+            const plan = await resendStakeholderInvitation({
+                referenceId: this.editReferenceId,
+                accessToken: this.accessToken,
+                stakeholderId
+            });
+            
+            this.setEditPlan(plan);
+            if (plan.invitationSent) {
+                this.showToast(this.label.toastSuccess, this.label.newLinkSent, 'success');
+            } else {
+                this.showToast(this.label.toastError, this.label.invitationNotSent, 'error');
+            }
+            
+        } catch (error) {
+            this.handleError(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+    
+    async handleRevokeStakeholder(event) {
+        const stakeholderId = event.currentTarget.dataset.stakeholderId;
+        
+        try {
+            this.isLoading = true;
+            
+            const plan = await revokeStakeholder({
+                referenceId: this.editReferenceId,
+                accessToken: this.accessToken,
+                stakeholderId
+            });
+            
+            this.setEditPlan(plan);
+            this.showToast(this.label.toastSuccess, this.label.linkRevoked, 'success');
+            
+        } catch (error) {
+            this.handleError(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+    
+    async handleExportPdf() {
+        const plan = await this.loadCompletedPlan();
+        if (plan) {
+            downloadPdf(plan);
+        }
+    }
+    
+    async handleExportCalendar() {
+        const plan = await this.loadCompletedPlan();
+        if (plan) {
+            downloadCalendar(plan);
+        }
+    }
+    
     handleStartOver() {
         // Reset component
         this.currentStep = 1;
         this.tasks = [];
         this.userInfo = { email: '', name: '' };
+        this.planStartDate = getTodayIsoDate();
+        this.phases = [];
+        this.newPhase = { name: '', targetDate: '' };
+        this.stakeholders = [];
+        this.pendingFiles = {};
         this.referenceId = this.generateReferenceId();
         this.completedReferenceId = null;
+        this.completedEditUrl = null;
+        this.completedAccessToken = null;
         this.currentPage = 1;
         this.error = null;
+        this.isImportOpen = false;
+        this.resetImport();
+        this.clearDraft();
+    }
+    
+    handleResumeDraft() {
+        this.applyDraftState(this.resumableDraft, this.resumableDraft.draftToken);
+        this.resumableDraft = null;
+    }
+    
+    handleDiscardDraft() {
+        this.clearDraft();
+    }
+    
+    // Labels only change when the page loads again, so keep the plan in the browser and reload
+    // the page in the chosen language
+    handleLanguageChange(event) {
+        const language = event.target.value;
+        
+        if (this.shouldAutosave) {
+            clearTimeout(this.draftSaveTimeout);
+            this.writeLocalDraft(this.getDraftState());
+            try {
+                window.sessionStorage.setItem(LANGUAGE_RESUME_KEY, 'true');
+            } catch (error) {
+                console.error('Error saving language switch:', error);
+            }
+        }
+        
+        window.location.assign(buildLanguageUrl(window.location.href, language));
+    }
+    
+    async handleEmailResumeLink() {
+        try {
+            this.isLoading = true;
+            clearTimeout(this.draftSaveTimeout);
+            
+            await this.persistDraft(true);
+            this.showToast(this.label.toastSuccess, formatLabel(this.label.resumeLinkSent, this.userInfo.email), 'success');
+            
+        } catch (error) {
+            this.handleError(error);
+        } finally {
+            // A CAPTCHA response is only good for one check
+            this.resetCaptcha();
+            this.isLoading = false;
+        }
+    }
+    
+    // Exports are built from the saved plan so they match what the status tracker shows. The
+    // plan's access token unlocks task owners and descriptions, which the public status leaves out.
+    async loadCompletedPlan() {
+        try {
+            this.isLoading = true;
+            return await getActionPlanExport({
+                referenceId: this.completedReferenceId,
+                accessToken: this.completedAccessToken,
+                inviteToken: null
+            });
+        } catch (error) {
+            this.handleError(error);
+            return null;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+    
+    // Drafts
+    getDraftState() {
+        return {
+            referenceId: this.referenceId,
+            currentStep: this.currentStep,
+            userInfo: { ...this.userInfo },
+            planStartDate: this.planStartDate,
+            phases: this.phases,
+            stakeholders: this.stakeholders,
+            tasks: this.tasks
+        };
+    }
+    
+    applyDraftState(state, draftToken) {
+        const userInfo = state.userInfo || {};
+        
+        this.referenceId = state.referenceId || this.generateReferenceId();
+        this.draftToken = draftToken || null;
+        this.userInfo = { email: userInfo.email || '', name: userInfo.name || '' };
+        this.planStartDate = state.planStartDate || getTodayIsoDate();
+        this.phases = Array.isArray(state.phases) ? state.phases : [];
+        this.stakeholders = Array.isArray(state.stakeholders) ? state.stakeholders : [];
+        this.tasks = this.scheduleTasks(
+            (Array.isArray(state.tasks) ? state.tasks : []).map(task => ({ ...this.taskPrototype, ...task }))
+        );
+        this.currentStep = Math.min(Math.max(Number(state.currentStep) || 1, 1), 3);
+        this.currentPage = 1;
+        this.lastDraftSnapshot = JSON.stringify(this.getDraftState());
+    }
+    
+    // Debounced autosave, triggered after any change re-renders the component
+    scheduleDraftSave() {
+        if (!this.shouldAutosave) {
+            return;
+        }
+        
+        const snapshot = JSON.stringify(this.getDraftState());
+        if (snapshot === this.lastDraftSnapshot) {
+            return;
+        }
+        this.lastDraftSnapshot = snapshot;
+        
+        clearTimeout(this.draftSaveTimeout);
+        this.draftSaveTimeout = setTimeout(() => {
+            this.persistDraft(false).catch(error => {
+                console.error('Error saving draft:', error);
+            });
+        }, DRAFT_SAVE_DELAY_MS);
+    }
+    
+    async persistDraft(sendResumeLink) {
+        if (!this.shouldAutosave) {
+            return;
+        }
+        
+        const state = this.getDraftState();
+        this.writeLocalDraft(state);
+        this.draftSavedAt = new Date();
+        
+        if (!this.saveDraftsToServer || !this.isValidEmail(this.userInfo.email)) {
+            return;
+        }
+        
+        // The draft token is never stored inside the server copy of the draft
+        const result = await saveDraft({
+            draftJson: JSON.stringify({
+                referenceId: this.referenceId,
+                draftToken: this.draftToken,
+                submittedByEmail: this.userInfo.email,
+                submittedByName: this.userInfo.name,
+                sendResumeLink,
+                state: JSON.stringify(state),
+                sessionId: this.sessionId,
+                csrfToken: this.csrfToken,
+                captchaToken: this.captchaToken
+            })
+        });
+        
+        this.draftToken = result.draftToken;
+        this.writeLocalDraft(state);
+    }
+    
+    readLocalDraft() {
+        try {
+            const stored = window.localStorage.getItem(DRAFT_STORAGE_KEY);
+            const draft = stored ? JSON.parse(stored) : null;
+            
+            if (draft && Array.isArray(draft.tasks) && (draft.tasks.length > 0 || draft.currentStep > 1)) {
+                return draft;
+            }
+        } catch (error) {
+            console.error('Error reading draft:', error);
+        }
+        return null;
+    }
+    
+    writeLocalDraft(state) {
+        try {
+            window.localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+                ...state,
+                draftToken: this.draftToken,
+                savedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            // Storage can be unavailable (private browsing, full quota) - the server copy still applies
+            console.error('Error writing draft:', error);
+        }
+    }
+    
+    // True once after the page reloads for a language switch
+    takeLanguageResumeFlag() {
+        try {
+            const flag = window.sessionStorage.getItem(LANGUAGE_RESUME_KEY);
+            window.sessionStorage.removeItem(LANGUAGE_RESUME_KEY);
+            return flag === 'true';
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    clearDraft() {
+        clearTimeout(this.draftSaveTimeout);
+        this.resumableDraft = null;
+        this.draftToken = null;
+        this.draftSavedAt = null;
+        this.lastDraftSnapshot = null;
+        
+        try {
+            window.localStorage.removeItem(DRAFT_STORAGE_KEY);
+        } catch (error) {
+            console.error('Error clearing draft:', error);
+        }
     }
     
     // Validation
     validateSubmission() {
         // Validate user info
         if (!this.isValidEmail(this.userInfo.email)) {
-            this.showToast('Error', 'Please provide a valid email address', 'error');
+            this.showToast(this.label.toastError, this.label.invalidEmail, 'error');
             return false;
         }
         
         if (!this.userInfo.name || this.userInfo.name.trim().length < 2) {
-            this.showToast('Error', 'Please provide your name', 'error');
+            this.showToast(this.label.toastError, this.label.nameRequired, 'error');
+            return false;
+        }
+        
+        if (!this.areStakeholdersValid()) {
+            this.showToast(this.label.toastError, this.label.invalidStakeholders, 'error');
             return false;
         }
         
         // Validate tasks
         if (this.tasks.length === 0) {
-            this.showToast('Error', 'Please add at least one task', 'error');
+            this.showToast(this.label.toastError, this.label.taskRequired, 'error');
             return false;
         }
         
         if (!this.areTasksValid()) {
-            this.showToast('Error', 'Please complete all required task fields', 'error');
+            this.showToast(this.label.toastError, this.label.tasksIncomplete, 'error');
+            return false;
+        }
+        
+        if (!this.arePhasesValid()) {
+            this.showToast(this.label.toastError, this.label.phaseNameRequired, 'error');
+            return false;
+        }
+        
+        if (this.hasCircularDependencies()) {
+            this.showToast(this.label.toastError, this.label.circularDependencies, 'error');
             return false;
         }
         
         return true;
     }
     
+    areStakeholdersValid() {
+        const emails = this.stakeholders.map(stakeholder => stakeholder.email.trim().toLowerCase());
+        return this.stakeholders.every(stakeholder => stakeholder.name.trim() && this.isValidEmail(stakeholder.email)) &&
+            new Set(emails).size === emails.length;
+    }
+    
     areTasksValid() {
         return this.tasks.every(task => {
             return task.name && task.name.trim().length > 0;
         });
     }
     
+    // Dependencies & scheduling
+    
+    // A task without dependencies is due daysAfterStart days after the plan start date,
+    // a dependent task is due daysAfterStart days after its latest upstream task.
+    // A task with neither keeps the due date the guest typed or imported.
+    scheduleTasks(tasks) {
+        const tasksById = new Map(tasks.map(task => [task.tempId, task]));
+        const offsets = new Map();
+        
+        const resolveOffset = (task, visiting) => {
+            if (offsets.has(task.tempId)) return offsets.get(task.tempId);
+            if (visiting.has(task.tempId)) return 0; // Cycles are rejected before they are added
+            
+            if (!this.isTaskScheduled(task)) {
+                const offset = task.dueDate ? Math.max(this.getDaysBetweenIsoDates(this.planStartDate, task.dueDate), 0) : 0;
+                offsets.set(task.tempId, offset);
+                return offset;
+            }
+            
+            visiting.add(task.tempId);
+            const baseOffset = (task.dependsOn || [])
+                .map(id => tasksById.get(id))
+                .filter(upstream => upstream)
+                .reduce((latest, upstream) => Math.max(latest, resolveOffset(upstream, visiting)), 0);
+            visiting.delete(task.tempId);
+            
+            const offset = baseOffset + (Number(task.daysAfterStart) || 0);
+            offsets.set(task.tempId, offset);
+            return offset;
+        };
+        
+        return tasks.map(task => this.isTaskScheduled(task) ? {
+            ...task,
+            dueDate: this.addDaysToIsoDate(this.planStartDate, resolveOffset(task, new Set()))
+        } : task);
+    }
+    
+    isTaskScheduled(task) {
+        const hasOffset = task.daysAfterStart !== null && task.daysAfterStart !== undefined;
+        return hasOffset || (task.dependsOn || []).length > 0;
+    }
+    
+    // Due date of a task before dependencies are applied
+    getOwnDueDate(task) {
+        return this.isTaskScheduled(task) ? 
+            this.addDaysToIsoDate(this.planStartDate, Number(task.daysAfterStart) || 0) : 
+            task.dueDate;
+    }
+    
+    // True if making taskId depend on dependencyId would close a loop
+    wouldCreateCycle(taskId, dependencyId) {
+        const tasksById = new Map(this.tasks.map(task => [task.tempId, task]));
+        const pending = [dependencyId];
+        const seen = new Set();
+        
+        while (pending.length > 0) {
+            const currentId = pending.pop();
+            if (currentId === taskId) return true;
+            if (seen.has(currentId)) continue;
+            
+            seen.add(currentId);
+            const current = tasksById.get(currentId);
+            if (current) {
+                pending.push(...(current.dependsOn || []));
+            }
+        }
+        
+        return false;
+    }
+    
+    hasCircularDependencies() {
+        return this.tasks.some(task => 
+            (task.dependsOn || []).some(dependencyId => this.wouldCreateCycle(task.tempId, dependencyId))
+        );
+    }
+    
+    decorateTask(task) {
+        const dependsOn = task.dependsOn || [];
+        const files = this.getTaskFiles(task);
+        
+        const dependencyNames = this.tasks
+            .filter(other => dependsOn.includes(other.tempId))
+            .map(other => other.name || this.label.untitledTask);
+        
+        return {
+            ...task,
+            priorityLabel: this.getOptionLabel(this.priorityOptions, task.priority),
+            dueDateFormatted: formatDate(task.dueDate),
+            dueText: task.dueDate ? formatLabel(this.label.dueOn, formatDate(task.dueDate)) : null,
+            isDueDateEditable: dependsOn.length === 0,
+            acceptsFiles: !!this.fileLimits && this.fileLimits.fileCategories.includes(task.category),
+            files: files.map(pending => ({ ...pending, sizeFormatted: formatFileSize(pending.size) })),
+            hasFiles: files.length > 0,
+            fileCountText: formatLabel(this.label.fileCount, files.length),
+            canAddFiles: files.length < (this.fileLimits ? this.fileLimits.maxFilesPerTask : 0),
+            fileInputId: `${task.tempId}-files`,
+            hasDependencies: dependsOn.length > 0,
+            dependencyPills: this.tasks
+                .filter(other => dependsOn.includes(other.tempId))
+                .map(other => ({ tempId: other.tempId, name: other.name || this.label.untitledTask })),
+            dependencyText: formatLabel(this.label.afterTasks, dependencyNames.join(', ')),
+            dependencyOptions: this.tasks
+                .filter(other => other.tempId !== task.tempId && !dependsOn.includes(other.tempId))
+                .map(other => ({ value: other.tempId, label: other.name || this.label.untitledTask }))
+        };
+    }
+    
+    // Files only go with tasks that take them, so a task moved to another category keeps
+    // its picked files in case it is moved back but sends none
+    getTaskFiles(task) {
+        const acceptsFiles = !!this.fileLimits && this.fileLimits.fileCategories.includes(task.category);
+        return acceptsFiles ? (this.pendingFiles[task.tempId] || []) : [];
+    }
+    
+    // Upload each picked file to its saved task, one at a time to stay within the request size.
+    // The plan is already saved, so a file that fails is reported rather than failing the submission.
+    async uploadPendingFiles(result) {
+        const failedFiles = [];
+        
+        for (const task of this.tasks) {
+            const taskId = result.taskIds ? result.taskIds[task.tempId] : null;
+            for (const pending of this.getTaskFiles(task)) {
+                if (!taskId) {
+                    failedFiles.push(pending.name);
+                    continue;
+                }
+                try {
+                    const base64Data = await readFileAsBase64(pending.file);
+                    await uploadTaskFile({
+                        referenceId: result.referenceId,
+                        accessToken: result.accessToken,
+                        inviteToken: null,
+                        taskId,
+                        fileName: pending.name,
+                        base64Data
+                    });
+                } catch (error) {
+                    console.error('Error uploading file:', error);
+                    failedFiles.push(pending.name);
+                }
+            }
+        }
+        
+        this.pendingFiles = {};
+        return failedFiles;
+    }
+    
+    arePhasesValid() {
+        return this.phases.every(phase => phase.name && phase.name.trim().length > 0);
+    }
+    
+    // Playbook items override the template's own priority, category and offset
+    createTaskFromTemplate(template, item = {}) {
+        const isSet = value => value !== null && value !== undefined;
+        
+        return {
+            ...this.taskPrototype,
+            tempId: this.generateTempId(),
+            name: template.Name,
+            description: template.Description__c || '',
+            priority: item.Priority__c || template.Default_Priority__c || 'Medium',
+            category: item.Category__c || template.Category__c || 'Follow-up',
+            daysAfterStart: isSet(item.Days_After_Start__c) ? 
+                item.Days_After_Start__c : 
+                template.Default_Duration_Days__c || 1,
+            dependsOn: []
+        };
+    }
+    
+    // Bulk import
+    loadImportText(text) {
+        const records = this.parseDelimitedText(text || '');
+        const hasHeader = records.length > 0 && records[0].some(cell => this.getImportFieldForHeader(cell));
+        
+        this.importRecords = records;
+        this.importHasHeader = hasHeader;
+        this.importColumns = this.buildImportColumns(records, hasHeader);
+    }
+    
+    resetImport() {
+        this.importText = '';
+        this.importRecords = [];
+        this.importColumns = [];
+        this.importHasHeader = true;
+    }
+    
+    // Columns are matched to task fields by header name, or by position when there is no header row
+    buildImportColumns(records, hasHeader) {
+        const columnCount = records.reduce((max, cells) => Math.max(max, cells.length), 0);
+        const usedFields = new Set();
+        const columns = [];
+        
+        for (let index = 0; index < columnCount; index++) {
+            const header = hasHeader ? (records[0][index] || '').trim() : '';
+            let field = hasHeader ? 
+                this.getImportFieldForHeader(header) : 
+                (IMPORT_FIELDS[index] ? IMPORT_FIELDS[index].value : '');
+            
+            if (usedFields.has(field)) {
+                field = '';
+            }
+            if (field) {
+                usedFields.add(field);
+            }
+            
+            columns.push({
+                index,
+                key: `column-${index}`,
+                header: header || formatLabel(this.label.columnNumber, index + 1),
+                field
+            });
+        }
+        
+        return columns;
+    }
+    
+    // Headers in the viewer's language match the field labels
+    getImportFieldForHeader(header) {
+        const trimmed = (header || '').trim().toLocaleLowerCase();
+        const normalized = trimmed.replace(/[^a-z]/g, '');
+        const match = IMPORT_FIELDS.find(field => 
+            field.aliases.includes(normalized) || (trimmed && field.label.toLocaleLowerCase() === trimmed)
+        );
+        return match ? match.value : '';
+    }
+    
+    // Splits CSV or tab separated text (as copied from Excel or Google Sheets) into rows of cells.
+    // Quoted cells may contain the delimiter, line breaks and doubled quotes.
+    parseDelimitedText(text) {
+        const firstLine = text.split(/\r?\n/)[0];
+        const delimiter = ['\t', ',', ';'].reduce((best, candidate) => 
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        , ',');
+        
+        const records = [];
+        let cells = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                cell = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                cells.push(cell);
+                records.push(cells);
+                cells = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        cells.push(cell);
+        records.push(cells);
+        
+        // Drop blank lines, including the one after a trailing line break
+        return records.filter(row => row.some(value => value.trim() !== ''));
+    }
+    
+    // Turns one row of cells into a task, collecting the problems that would stop it from being saved
+    buildImportTask(cells) {
+        const values = {};
+        this.importColumns.forEach(column => {
+            if (column.field) {
+                values[column.field] = (cells[column.index] || '').trim();
+            }
+        });
+        
+        const task = { ...this.taskPrototype, dependsOn: [] };
+        const errors = [];
+        
+        task.name = values.name || '';
+        if (!task.name) {
+            errors.push(this.label.importNameRequired);
+        } else if (task.name.length > 255) {
+            errors.push(this.label.importNameTooLong);
+        }
+        
+        task.description = values.description || '';
+        
+        if (values.priority) {
+            const priority = this.matchImportOption(this.priorityOptions, values.priority);
+            if (priority) {
+                task.priority = priority;
+            } else {
+                errors.push(formatLabel(this.label.importUnknownPriority, values.priority));
+            }
+        }
+        
+        if (values.category) {
+            const category = this.matchImportOption(this.categoryOptions, values.category);
+            if (category) {
+                task.category = category;
+            } else {
+                errors.push(formatLabel(this.label.importUnknownCategory, values.category));
+            }
+        }
+        
+        if (values.assignedToEmail) {
+            if (this.isValidEmail(values.assignedToEmail)) {
+                task.assignedToEmail = values.assignedToEmail;
+            } else {
+                errors.push(this.label.importInvalidEmail);
+            }
+        }
+        
+        if (values.isRequired) {
+            const normalized = values.isRequired.toLowerCase();
+            if (['true', 'yes', 'y', '1', 'x'].includes(normalized)) {
+                task.isRequired = true;
+            } else if (['false', 'no', 'n', '0'].includes(normalized)) {
+                task.isRequired = false;
+            } else {
+                errors.push(this.label.importInvalidRequired);
+            }
+        }
+        
+        if (values.reminderDaysBefore) {
+            const reminderDays = this.parseImportNumber(values.reminderDaysBefore, MAX_REMINDER_DAYS_BEFORE);
+            if (reminderDays === null) {
+                errors.push(this.label.importInvalidReminder);
+            } else {
+                task.reminderDaysBefore = reminderDays;
+            }
+        }
+        
+        // An imported due date is kept as it is; an imported offset is scheduled from the plan start date
+        let daysAfterStart = null;
+        if (values.daysAfterStart) {
+            daysAfterStart = this.parseImportNumber(values.daysAfterStart, MAX_DAYS_AFTER_START);
+            if (daysAfterStart === null) {
+                errors.push(this.label.importInvalidDays);
+            }
+        }
+        
+        if (values.dueDate) {
+            const dueDate = this.parseImportDate(values.dueDate);
+            const offset = dueDate ? this.getDaysBetweenIsoDates(this.planStartDate, dueDate) : null;
+            
+            if (!dueDate) {
+                errors.push(formatLabel(this.label.importInvalidDate, values.dueDate));
+            } else if (offset < 0) {
+                errors.push(this.label.importDateBeforeStart);
+            } else if (daysAfterStart !== null && daysAfterStart !== offset) {
+                errors.push(this.label.importDateMismatch);
+            } else {
+                task.dueDate = dueDate;
+            }
+        }
+        
+        if (daysAfterStart !== null) {
+            task.daysAfterStart = daysAfterStart;
+        }
+        
+        return { task, errors };
+    }
+    
+    // A cell can hold the saved value or its label in the viewer's language
+    matchImportOption(options, value) {
+        const lowerValue = value.toLocaleLowerCase();
+        const match = options.find(option => 
+            option.value.toLowerCase() === lowerValue || option.label.toLocaleLowerCase() === lowerValue
+        );
+        return match ? match.value : null;
+    }
+    
+    getOptionLabel(options, value) {
+        const match = options.find(option => option.value === value);
+        return match ? match.label : value;
+    }
+    
+    parseImportNumber(value, max) {
+        return /^\d+$/.test(value) && Number(value) <= max ? Number(value) : null;
+    }
+    
+    // Accepts YYYY-MM-DD and the M/D/YYYY format spreadsheets export by default
+    parseImportDate(value) {
+        let year;
+        let month;
+        let day;
+        
+        let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else {
+            match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+            if (!match) {
+                return null;
+            }
+            [, month, day, year] = match.map(Number);
+        }
+        
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        
+        return date.toISOString().split('T')[0];
+    }
+    
+    // Phases
+    createPhase(name, targetDate) {
+        return {
+            tempId: `phase-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+            name,
+            targetDate,
+            isExpanded: true
+        };
+    }
+    
+    // Stable sort: tasks follow the order of their phase, unassigned tasks go last
+    sortTasksByPhase(tasks) {
+        const phaseIndex = new Map(this.phases.map((phase, index) => [phase.tempId, index]));
+        const rank = task => (phaseIndex.has(task.phaseId) ? phaseIndex.get(task.phaseId) : this.phases.length);
+        
+        return tasks
+            .map((task, index) => ({ task, index }))
+            .sort((a, b) => rank(a.task) - rank(b.task) || a.index - b.index)
+            .map(entry => entry.task);
+    }
+    
+    buildPhaseGroups(tasks) {
+        const groups = this.phases.map(phase => ({
+            key: phase.tempId,
+            phaseId: phase.tempId,
+            isPhase: true,
+            showHeader: true,
+            name: phase.name || this.label.untitledPhase,
+            targetDate: phase.targetDate,
+            isExpanded: phase.isExpanded,
+            tasks: tasks.filter(task => task.phaseId === phase.tempId)
+        }));
+        
+        groups.push({
+            key: 'unassigned',
+            phaseId: '',
+            isPhase: false,
+            showHeader: true,
+            name: this.label.noPhase,
+            targetDate: null,
+            isExpanded: true,
+            tasks: tasks.filter(task => !groups.some(group => group.phaseId === task.phaseId))
+        });
+        
+        return groups.map(group => {
+            const dueDates = group.tasks.map(task => task.dueDate).filter(date => date).sort();
+            const latestDueDate = dueDates.length > 0 ? dueDates[dueDates.length - 1] : null;
+            
+            const taskCount = this.tasks.filter(task => 
+                group.isPhase ? task.phaseId === group.phaseId : !this.phases.some(phase => phase.tempId === task.phaseId)
+            ).length;
+            
+            return {
+                ...group,
+                isCollapsible: group.isPhase,
+                toggleLabel: group.isExpanded ? this.label.collapse : this.label.expand,
+                taskCount,
+                taskCountText: formatLabel(this.label.taskCount, taskCount),
+                targetText: group.targetDate ? formatLabel(this.label.targetOn, formatDate(group.targetDate)) : null,
+                latestDueText: latestDueDate ? formatLabel(this.label.lastDueOn, formatDate(latestDueDate)) : null,
+                // Flag phases whose tasks finish after the phase target date
+                isAtRisk: !!(group.targetDate && latestDueDate && latestDueDate > group.targetDate)
+            };
+        });
+    }
+    
+    // Reordering
+    moveTaskBy(taskId, offset) {
+        const visibleTasks = this.visibleTasks;
+        const index = visibleTasks.findIndex(task => task.tempId === taskId);
+        const target = visibleTasks[index + offset];
+        
+        if (index === -1 || !target) {
+            return;
+        }
+        
+        // Within a phase the tasks swap places, at a phase boundary the task joins the adjacent phase
+        const samePhase = target.phaseId === visibleTasks[index].phaseId;
+        const position = (offset < 0) === samePhase ? 'before' : 'after';
+        
+        this.moveTask(taskId, target.tempId, position);
+        this.focusTaskId = taskId;
+    }
+    
+    moveTask(taskId, targetId, position) {
+        const task = this.tasks.find(item => item.tempId === taskId);
+        const remainingTasks = this.tasks.filter(item => item.tempId !== taskId);
+        const targetIndex = remainingTasks.findIndex(item => item.tempId === targetId);
+        
+        if (!task || targetIndex === -1) {
+            return;
+        }
+        
+        // The moved task takes the phase of the task it is dropped next to
+        remainingTasks.splice(
+            position === 'after' ? targetIndex + 1 : targetIndex, 
+            0, 
+            { ...task, phaseId: remainingTasks[targetIndex].phaseId }
+        );
+        
+        this.tasks = this.scheduleTasks(this.sortTasksByPhase(remainingTasks));
+        
+        // Follow the task to the page it landed on
+        const visibleIndex = this.visibleTasks.findIndex(item => item.tempId === taskId);
+        if (visibleIndex !== -1) {
+            this.currentPage = Math.floor(visibleIndex / this.tasksPerPage) + 1;
+        }
+    }
+    
+    adjustCurrentPage() {
+        if (this.currentPage > this.totalPages && this.totalPages > 0) {
+            this.currentPage = this.totalPages;
+        }
+    }
+    
     isValidEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
@@ -373,37 +2719,24 @@ export default class DynamicActionPlanBuilder extends LightningElement {
         return `session-${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
     }
     
-    calculateDueDate(daysFromNow) {
-        const date = new Date();
-        date.setDate(date.getDate() + daysFromNow);
+    addDaysToIsoDate(isoDate, days) {
+        // Work in UTC so the calendar date never shifts with the browser time zone
+        const date = new Date(`${isoDate}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
         return date.toISOString().split('T')[0];
     }
     
-    async getClientIP() {
-        try {
-            // This would need to call an external service or use a server-side method
-            // For now, return placeholder
-            return 'Guest User IP';
-        } catch (error) {
-            return 'Unknown';
-        }
-    }
-    
-    formatDate(dateString) {
-        if (!dateString) return '';
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            year: 'numeric'
-        });
+    getDaysBetweenIsoDates(startIsoDate, endIsoDate) {
+        const start = new Date(`${startIsoDate}T00:00:00Z`);
+        const end = new Date(`${endIsoDate}T00:00:00Z`);
+        return Math.round((end - start) / 86400000);
     }
     
     handleError(error) {
         console.error('Error:', error);
-        const message = error.body?.message || error.message || 'An unexpected error occurred';
+        const message = error.body?.message || error.message || this.label.unexpectedError;
         this.error = message;
-        this.showToast('Error', message, 'error');
+        this.showToast(this.label.toastError, message, 'error');
     }
     
     showToast(title, message, variant) {